@@ -1,3 +1,7 @@
+import { assignUids, toEds } from "./to-eds.js";
+import { fromEds } from "./from-eds.js";
+import { applyReferenceParams, clearReferenceCache, loadReference, readReferenceParams, referenceUrl } from "./reference-cache.js";
+import { createLogger } from "./ee-logger.js";
 var __create = Object.create;
 var __defProp = Object.defineProperty;
 var __getOwnPropDesc = Object.getOwnPropertyDescriptor;
@@ -29615,11 +29619,12 @@ function normalizeHelpers(helpers) {
 }
 
 // src/features/editor/save-helpers.js
+var saveHelpersLogger = createLogger("save-helpers");
 function stripRteWrappers(root) {
   if (!root) return;
   const doc3 = root.ownerDocument || document;
   function unwrap(rte) {
-    console.log("[save-helpers] stripRteWrappers: unwrapping ee-rte");
+    saveHelpersLogger.debug("stripRteWrappers: unwrapping ee-rte");
     const surface = rte.querySelector?.('[part~="surface"]') || rte.querySelector?.(".ee-rte__surface") || rte.querySelector?.(".ProseMirror") || rte;
     const fragment = doc3.createDocumentFragment();
     Array.from(surface.childNodes || []).forEach((child) => {
@@ -29671,6 +29676,7 @@ function getSanitizedHtml(input, urn, options = {}) {
   return parts.join("\n");
 }
 function buildSanitizedHtmlFromHost(host, urn) {
+  assignUids(host);
   return getSanitizedHtml(host, urn);
 }
 function getJsonSnapshot(editorElement) {
@@ -29688,7 +29694,7 @@ function getJsonSnapshot(editorElement) {
     if (node.nodeType === Node.ELEMENT_NODE) {
       const tag3 = node.tagName?.toLowerCase?.();
       if (tag3 === "ee-rte") {
-        console.log("[save-helpers] getJsonSnapshot: transparently passing through ee-rte container");
+        saveHelpersLogger.debug("getJsonSnapshot: transparently passing through ee-rte container");
         const children = Array.from(node.children || []);
         const serialized = children.map((c33) => serializeNode(c33)).filter(Boolean);
         if (serialized.length === 1) return serialized[0];
@@ -29723,6 +29729,7 @@ function getJsonSnapshot(editorElement) {
 }
 
 // src/stores/editor/history-store.js
+var historyLogger = createLogger("EditorHistoryStore");
 var EditorHistoryStore = class {
   undoStack = [];
   redoStack = [];
@@ -29748,7 +29755,7 @@ var EditorHistoryStore = class {
     this.editorElement = element;
   }
   scheduleSnapshot() {
-    console.log("[EditorHistoryStore] scheduleSnapshot called");
+    historyLogger.debug("scheduleSnapshot called");
     if (this.isUndoRedoInProgress) {
       return;
     }
@@ -29791,7 +29798,7 @@ var EditorHistoryStore = class {
     const host = this.editorElement;
     if (!host) return;
     if (this.editor.richText?.activeRte) {
-      console.log("[EditorHistoryStore] Skipping auto-save: inline editing is active");
+      historyLogger.debug("Skipping auto-save: inline editing is active");
       return;
     }
     const appStore = host?.store;
@@ -29860,20 +29867,16 @@ var EditorHistoryStore = class {
       const b13 = String(this.baselineHtmlNormalized);
       const c34 = String(currentSanitized || "");
       const hasChanges2 = b13 !== c34;
-      if (hasChanges2) {
-        console.groupCollapsed("Editor: Unsaved changes detected (baseline mismatch)");
-        console.log("URN:", urn);
-        console.log("Baseline:", b13);
-        console.log("Current: ", c34);
+      if (hasChanges2 && historyLogger.enabled("debug")) {
+        historyLogger.debug("Unsaved changes detected (baseline mismatch)", { urn, baseline: b13, current: c34 });
         for (let i21 = 0; i21 < Math.max(b13.length, c34.length); i21++) {
           if (b13[i21] !== c34[i21]) {
-            console.log(`First difference at index ${i21}:`);
-            console.log(`  Baseline: "...${b13.substring(Math.max(0, i21 - 10), i21)}[${b13[i21] || ""}]${b13.substring(i21 + 1, i21 + 20)}..."`);
-            console.log(`  Current:  "...${c34.substring(Math.max(0, i21 - 10), i21)}[${c34[i21] || ""}]${c34.substring(i21 + 1, i21 + 20)}..."`);
+            historyLogger.debug(`First difference at index ${i21}:`);
+            historyLogger.debug(`  Baseline: "...${b13.substring(Math.max(0, i21 - 10), i21)}[${b13[i21] || ""}]${b13.substring(i21 + 1, i21 + 20)}..."`);
+            historyLogger.debug(`  Current:  "...${c34.substring(Math.max(0, i21 - 10), i21)}[${c34[i21] || ""}]${c34.substring(i21 + 1, i21 + 20)}..."`);
             break;
           }
         }
-        console.groupEnd();
       }
       return hasChanges2;
     }
@@ -29885,11 +29888,7 @@ var EditorHistoryStore = class {
     const c33 = String(currentSanitized || "");
     const hasChanges = b12 !== c33;
     if (hasChanges) {
-      console.groupCollapsed("Editor: Unsaved changes detected (fallback mismatch)");
-      console.log("URN:", urn);
-      console.log("Last Sanitized:", b12);
-      console.log("Current Sanitized:", c33);
-      console.groupEnd();
+      historyLogger.debug("Unsaved changes detected (fallback mismatch)", { urn, lastSanitized: b12, currentSanitized: c33 });
     }
     return hasChanges;
   }
@@ -50412,1029 +50411,6 @@ document.adoptedStyleSheets = [...document.adoptedStyleSheets, sheet];
 // src/experience-elements-home-new.js
 init_lit();
 
-// src/da/vanilla-tags.js
-var VANILLA_TAGS = /* @__PURE__ */ new Set([
-  "p",
-  "h1",
-  "h2",
-  "h3",
-  "h4",
-  "h5",
-  "h6",
-  "span",
-  "a",
-  "strong",
-  "em",
-  "b",
-  "i",
-  "u",
-  "br"
-]);
-var BLOCK_TAGS = /* @__PURE__ */ new Set([
-  "section",
-  "div",
-  "article",
-  "aside",
-  "nav",
-  "header",
-  "footer",
-  "main"
-]);
-
-// src/da/to-eds.js
-function hashUrn(urn) {
-  if (!urn) return null;
-  let hash = 0;
-  for (let i21 = 0; i21 < urn.length; i21++) {
-    const char = urn.charCodeAt(i21);
-    hash = (hash << 5) - hash + char;
-    hash = hash & hash;
-  }
-  return Math.abs(hash).toString(36);
-}
-var EDSSerializer = class {
-  constructor() {
-    this.tables = [];
-    this.elementCounter = {};
-  }
-  /**
-   * Generate unique ID for an element
-   * For ee-reference elements, uses URN hash for stable IDs
-   */
-  generateId(tagName, element = null) {
-    const baseName = tagName.toLowerCase();
-    if (baseName === "ee-reference" && element) {
-      const urn = element.getAttribute("urn");
-      if (urn) {
-        const hash = hashUrn(urn);
-        return `ee-reference-${hash}`;
-      }
-    }
-    if (!this.elementCounter[baseName]) {
-      this.elementCounter[baseName] = 0;
-    }
-    this.elementCounter[baseName]++;
-    return `${baseName}-${this.elementCounter[baseName]}`;
-  }
-  /**
-   * Check if element is a vanilla HTML tag (in allowlist)
-   */
-  isVanillaTag(tagName) {
-    return VANILLA_TAGS.has(tagName.toLowerCase());
-  }
-  /**
-   * Find the first custom element within a container
-   */
-  #findFirstCustomElement(container) {
-    for (const child of container.children) {
-      const tagName = child.tagName.toLowerCase();
-      if (!this.isVanillaTag(tagName)) {
-        return child;
-      }
-      const nested = this.#findFirstCustomElement(child);
-      if (nested) return nested;
-    }
-    return null;
-  }
-  /**
-   * Check if child nodes contain mixed inline content (text + inline vanilla elements)
-   * This detects cases like: "text <strong>bold</strong> more text"
-   */
-  #hasMixedInlineContent(childNodes) {
-    let hasText = false;
-    let hasInlineElement = false;
-    for (const child of childNodes) {
-      if (child.nodeType === Node.TEXT_NODE && child.textContent.trim()) {
-        hasText = true;
-      } else if (child.nodeType === Node.ELEMENT_NODE) {
-        const tagName = child.tagName.toLowerCase();
-        if (this.isVanillaTag(tagName) && !child.getAttribute("slot")) {
-          hasInlineElement = true;
-        } else {
-          return false;
-        }
-      }
-    }
-    return hasText && hasInlineElement;
-  }
-  /**
-   * Serialize mixed content (text nodes + inline elements) to a single HTML string
-   */
-  #serializeMixedContent(childNodes) {
-    return childNodes.map((child) => {
-      if (child.nodeType === Node.TEXT_NODE) {
-        return child.textContent;
-      }
-      if (child.nodeType === Node.ELEMENT_NODE) {
-        return this.serializeVanillaHTML(child);
-      }
-      return "";
-    }).join("");
-  }
-  /**
-   * Serialize vanilla HTML to string (including nested tags)
-   */
-  serializeVanillaHTML(element) {
-    if (element.nodeType === Node.TEXT_NODE) {
-      return element.textContent.trim();
-    }
-    if (element.nodeType !== Node.ELEMENT_NODE) {
-      return "";
-    }
-    const tagName = element.tagName.toLowerCase();
-    const attributes = Array.from(element.attributes).filter((attr) => attr.name !== "slot").map((attr) => `${attr.name}="${attr.value}"`).join(" ");
-    const openTag = attributes ? `<${tagName} ${attributes}>` : `<${tagName}>`;
-    const closeTag = `</${tagName}>`;
-    if (["br", "hr", "img", "input", "source"].includes(tagName)) {
-      return attributes ? `<${tagName} ${attributes} />` : `<${tagName} />`;
-    }
-    const childrenHTML = Array.from(element.childNodes).map((child) => {
-      if (child.nodeType === Node.TEXT_NODE) {
-        return child.textContent;
-      }
-      if (child.nodeType === Node.ELEMENT_NODE) {
-        if (this.isVanillaTag(child.tagName)) {
-          return this.serializeVanillaHTML(child);
-        } else {
-          return child.outerHTML;
-        }
-      }
-      return "";
-    }).join("");
-    return `${openTag}${childrenHTML}${closeTag}`;
-  }
-  /**
-   * Parse CSS variables from style attribute
-   */
-  parseStyleVariables(styleAttr) {
-    const vars = {};
-    if (!styleAttr) return vars;
-    const declarations = styleAttr.split(";").filter((d22) => d22.trim());
-    declarations.forEach((decl) => {
-      const [prop, value] = decl.split(":").map((s19) => s19.trim());
-      if (prop && prop.startsWith("--")) {
-        const varName = prop.substring(2);
-        vars[`style.${varName}`] = value;
-      } else if (prop) {
-        vars[`style.${prop}`] = value;
-      }
-    });
-    return vars;
-  }
-  /**
-   * Process custom element and create table entry
-   */
-  processCustomElement(element, parentId = null, slotName = null) {
-    const tagName = element.tagName.toLowerCase();
-    const id = this.generateId(tagName, element);
-    const table = {
-      id,
-      type: tagName
-    };
-    if (parentId) {
-      table.parent = parentId;
-    }
-    if (slotName) {
-      table.slot = slotName;
-    }
-    const isEeReference = tagName === "ee-reference";
-    if (isEeReference) {
-      const urn = element.getAttribute("urn");
-      if (urn) {
-        const hash = hashUrn(urn);
-        table["data-reference"] = hash;
-      }
-    }
-    const styleVars = this.parseStyleVariables(element.getAttribute("style"));
-    Object.assign(table, styleVars);
-    Array.from(element.attributes).forEach((attr) => {
-      if (attr.name === "style") {
-        return;
-      }
-      if (attr.name === "slot") {
-        return;
-      }
-      const propName = attr.name === "type" ? "attr-type" : attr.name;
-      table[propName] = attr.value;
-    });
-    const slotContents = {};
-    const childRefs = [];
-    const childNodes = Array.from(element.childNodes);
-    const skipDefaultSlot = isEeReference;
-    const hasMixedInlineContent = !skipDefaultSlot && this.#hasMixedInlineContent(childNodes);
-    if (hasMixedInlineContent) {
-      const htmlString = this.#serializeMixedContent(childNodes);
-      if (htmlString.trim()) {
-        slotContents["slot.default"] = [htmlString];
-      }
-    } else {
-      childNodes.forEach((child) => {
-        if (child.nodeType === Node.TEXT_NODE) {
-          const text = child.textContent.trim();
-          if (text && !skipDefaultSlot) {
-            if (!slotContents["slot.default"]) {
-              slotContents["slot.default"] = [];
-            }
-            slotContents["slot.default"].push(text);
-          }
-          return;
-        }
-        if (child.nodeType !== Node.ELEMENT_NODE) {
-          return;
-        }
-        const childTagName = child.tagName.toLowerCase();
-        const childSlot = child.getAttribute("slot");
-        if (skipDefaultSlot && !childSlot) {
-          return;
-        }
-        if (this.isVanillaTag(childTagName)) {
-          const htmlString = this.serializeVanillaHTML(child);
-          if (childSlot) {
-            const slotKey = childTagName !== "div" ? `slot.${childSlot}[${childTagName}]` : `slot.${childSlot}`;
-            if (!slotContents[slotKey]) {
-              slotContents[slotKey] = [];
-            }
-            slotContents[slotKey].push(htmlString);
-          } else {
-            if (!slotContents["slot.default"]) {
-              slotContents["slot.default"] = [];
-            }
-            slotContents["slot.default"].push(htmlString);
-          }
-        } else if (BLOCK_TAGS.has(childTagName)) {
-          const childId = this.processCustomElement(child, id, childSlot);
-          childRefs.push({ id: childId, slot: childSlot });
-        } else {
-          const childId = this.processCustomElement(child, id, childSlot);
-          childRefs.push({ id: childId, slot: childSlot });
-        }
-      });
-    }
-    Object.entries(slotContents).forEach(([slotKey, values]) => {
-      if (values.length === 1) {
-        table[slotKey] = values[0];
-      } else {
-        table[slotKey] = values.join(" ");
-      }
-    });
-    const slotRefs = {};
-    const unslottedRefs = [];
-    childRefs.forEach(({ id: childId, slot }) => {
-      if (slot) {
-        if (!slotRefs[`slot.${slot}`]) {
-          slotRefs[`slot.${slot}`] = [];
-        }
-        slotRefs[`slot.${slot}`].push(`\u2192 ${childId}`);
-      } else {
-        unslottedRefs.push(`\u2192 ${childId}`);
-      }
-    });
-    Object.entries(slotRefs).forEach(([slotKey, refs]) => {
-      if (table[slotKey]) {
-        table[slotKey] = table[slotKey] + ", " + refs.join(", ");
-      } else {
-        table[slotKey] = refs.join(", ");
-      }
-    });
-    if (unslottedRefs.length > 0) {
-      table.children = unslottedRefs.join(", ");
-    }
-    this.tables.push(table);
-    return id;
-  }
-  /**
-   * Convert HTML string to EDS tables
-   */
-  toEDS(htmlString) {
-    const parser = new DOMParser();
-    const doc3 = parser.parseFromString(htmlString, "text/html");
-    const rootElement = doc3.body.firstElementChild;
-    if (!rootElement) {
-      throw new Error("No root element found");
-    }
-    this.processCustomElement(rootElement);
-    return this.tables;
-  }
-  /**
-   * Format a single table entry as HTML
-   */
-  #formatTable(table) {
-    const rows = [];
-    rows.push(`    <tr><td>element-name</td><td>${table.type}</td></tr>`);
-    Object.entries(table).forEach(([key, value]) => {
-      if (key.startsWith("slot.")) {
-        const slotName = key.substring(5);
-        if (slotName !== "default") {
-          rows.push(`    <tr><td><strong>${slotName}</strong></td><td>${value}</td></tr>`);
-        }
-      }
-    });
-    Object.entries(table).forEach(([key, value]) => {
-      if (key.startsWith("style.")) {
-        const styleName = key.substring(6);
-        rows.push(`    <tr><td>style-${styleName}</td><td>${value}</td></tr>`);
-      }
-    });
-    Object.entries(table).forEach(([key, value]) => {
-      if (!["id", "type", "parent", "slot", "content", "children"].includes(key) && !key.startsWith("slot.") && !key.startsWith("style.")) {
-        rows.push(`    <tr><td>${key}</td><td>${value}</td></tr>`);
-      }
-    });
-    if (table.children) {
-      rows.push(`    <tr><td>children</td><td>${table.children}</td></tr>`);
-    }
-    if (table["slot.default"]) {
-      const value = table["slot.default"];
-      const needsWrapper = /<strong\b/i.test(value) && !value.trim().startsWith("<p");
-      const wrappedValue = needsWrapper ? `<p>${value}</p>` : value;
-      rows.push(`    <tr><td colspan="2">${wrappedValue}</td></tr>`);
-    }
-    const rowsHtml = rows.join("\n");
-    return `<table>
-  <tr><td colspan="2">experience-element</td></tr>
-${rowsHtml}
-</table>`;
-  }
-  /**
-   * Format tables as HTML (EDS authoring format)
-   * First row contains the block name "experience-element"
-   * Second row contains element-name with the actual custom element tag
-   * Subsequent rows contain slot-name/value pairs
-   */
-  toHTML() {
-    const output = [];
-    for (const table of this.tables) {
-      output.push(this.#formatTable(table));
-    }
-    return output.join("\n\n");
-  }
-};
-function toEds(htmlString, options = {}) {
-  const serializer = new EDSSerializer();
-  const tables = serializer.toEDS(htmlString);
-  if (options.format === "html") {
-    return serializer.toHTML();
-  }
-  return tables;
-}
-
-// src/da/from-eds.js
-function parseSlotNameWithTag(slotName) {
-  const match = slotName.match(/^(.+?)\[([a-z0-9]+)\]$/i);
-  if (match) {
-    return { name: match[1], tag: match[2] };
-  }
-  return { name: slotName, tag: "div" };
-}
-var EDSBlockDeserializer = class {
-  #blockMap = /* @__PURE__ */ new Map();
-  #tableMap = /* @__PURE__ */ new Map();
-  /**
-   * Check if a class name represents a custom element block
-   */
-  isCustomElementClass(className) {
-    if (className === "experience-element") {
-      return true;
-    }
-    return className && className.includes("-") && !VANILLA_TAGS.has(className);
-  }
-  /**
-   * Extract element-name from a block div
-   */
-  getElementName(blockDiv) {
-    const rows = Array.from(blockDiv.children).filter((c33) => c33.tagName === "DIV");
-    for (const row of rows) {
-      const cells = Array.from(row.children).filter((c33) => c33.tagName === "DIV");
-      if (cells.length === 2 && cells[0].textContent.trim() === "element-name") {
-        return cells[1].textContent.trim();
-      }
-    }
-    const classes = (blockDiv.className || "").split(/\s+/).filter(Boolean);
-    const blockClass = classes.find((c33) => c33.includes("-") && !VANILLA_TAGS.has(c33) && c33 !== "experience-element");
-    return blockClass || null;
-  }
-  /**
-   * Convert CSS class name back to tag name
-   * e.g., "paywall-card" -> "paywall-card"
-   */
-  classToTagName(className) {
-    return className.toLowerCase();
-  }
-  /**
-   * Build a map of block IDs to block elements
-   */
-  buildBlockMap(blocks) {
-    this.#blockMap.clear();
-    const blockCounts = /* @__PURE__ */ new Map();
-    for (const block of blocks) {
-      const elementName = this.getElementName(block);
-      if (elementName) {
-        const nameLower = elementName.toLowerCase();
-        if (nameLower === "ee-reference") {
-          const dataRef = this.#getAttributeFromBlock(block, "data-reference");
-          if (dataRef) {
-            const blockId2 = `ee-reference-${dataRef}`;
-            this.#blockMap.set(blockId2, block);
-            continue;
-          }
-        }
-        const count = (blockCounts.get(nameLower) || 0) + 1;
-        blockCounts.set(nameLower, count);
-        const blockId = `${nameLower}-${count}`;
-        this.#blockMap.set(blockId, block);
-      }
-    }
-  }
-  /**
-   * Get an attribute value from a block div row
-   */
-  #getAttributeFromBlock(blockDiv, attrName) {
-    const rows = Array.from(blockDiv.children).filter((c33) => c33.tagName === "DIV");
-    for (const row of rows) {
-      const cells = Array.from(row.children).filter((c33) => c33.tagName === "DIV");
-      if (cells.length === 2 && cells[0].textContent.trim() === attrName) {
-        return cells[1].textContent.trim();
-      }
-    }
-    return null;
-  }
-  /**
-   * Parse a block row to extract slot name and content
-   * Row format: <div><div>slot-name</div><div>content</div></div>
-   */
-  parseBlockRow(rowDiv) {
-    const cells = Array.from(rowDiv.children).filter((c33) => c33.tagName === "DIV");
-    if (cells.length === 0) {
-      return null;
-    }
-    if (cells.length === 1) {
-      return {
-        slotName: null,
-        content: cells[0]
-      };
-    }
-    const strongEl = cells[0].querySelector("strong");
-    const isSlot = !!strongEl;
-    const slotName = strongEl ? strongEl.textContent.trim() : cells[0].textContent.trim();
-    const content = cells[1];
-    return {
-      slotName,
-      content,
-      isSlot
-    };
-  }
-  /**
-   * Check if content div contains a nested block
-   */
-  findNestedBlock(contentDiv) {
-    for (const child of contentDiv.children) {
-      if (child.tagName === "DIV" && child.className) {
-        const classes = child.className.split(/\s+/);
-        const blockClass = classes.find((c33) => this.isCustomElementClass(c33));
-        if (blockClass) {
-          return { element: child, blockClass };
-        }
-      }
-    }
-    return null;
-  }
-  /**
-   * Parse references from content text (e.g., "→ inline-price-1, → inline-price-2")
-   */
-  parseReferences(text) {
-    const refs = [];
-    const matches3 = text.matchAll(/→\s*([a-z][a-z0-9-]*-[a-z0-9]+)/gi);
-    for (const match of matches3) {
-      refs.push(match[1].toLowerCase());
-    }
-    return refs;
-  }
-  /**
-   * Check if content div is just a simple <p> wrapper around plain text
-   * DA author format wraps all text in <p> tags, but this shouldn't create slots
-   */
-  #isSimplePWrapper(contentDiv) {
-    const children = Array.from(contentDiv.children);
-    if (children.length !== 1) return false;
-    const child = children[0];
-    if (child.tagName !== "P") return false;
-    return child.children.length === 0;
-  }
-  /**
-   * Check if content is purely references (no other content)
-   */
-  isReferenceOnly(text) {
-    const withoutRefs = text.replace(/→\s*[a-z][a-z0-9-]*-[a-z0-9]+/gi, "").replace(/,/g, "").trim();
-    return withoutRefs === "";
-  }
-  /**
-   * Convert content div to appropriate slotted content
-   */
-  convertContent(contentDiv, slotName) {
-    const nestedBlock = this.findNestedBlock(contentDiv);
-    if (nestedBlock) {
-      const converted = this.convertBlock(nestedBlock.element);
-      if (slotName) {
-        converted.setAttribute("slot", slotName);
-      }
-      return converted;
-    }
-    const innerHTML = contentDiv.innerHTML.trim();
-    const textContent = contentDiv.textContent.trim();
-    const refs = this.parseReferences(textContent);
-    if (refs.length > 0 && this.isReferenceOnly(textContent)) {
-      const fragment = document.createDocumentFragment();
-      for (const refId of refs) {
-        const refBlock = this.#blockMap.get(refId);
-        if (refBlock) {
-          const converted = this.convertBlock(refBlock);
-          if (slotName) {
-            converted.setAttribute("slot", slotName);
-          }
-          fragment.appendChild(converted);
-        }
-      }
-      return fragment;
-    }
-    const hasBlockElements = /<(p|h[1-6]|div|ul|ol|table)/i.test(innerHTML);
-    if (hasBlockElements) {
-      const fragment = document.createDocumentFragment();
-      Array.from(contentDiv.childNodes).forEach((node) => {
-        const cloned = node.cloneNode(true);
-        if (cloned.nodeType === Node.ELEMENT_NODE && slotName) {
-          cloned.setAttribute("slot", slotName);
-        }
-        fragment.appendChild(cloned);
-      });
-      return fragment;
-    }
-    const wrapper = document.createElement("span");
-    wrapper.innerHTML = innerHTML;
-    if (slotName) {
-      wrapper.setAttribute("slot", slotName);
-    }
-    return wrapper;
-  }
-  /**
-   * Convert an EDS block div to a custom element
-   */
-  convertBlock(blockDiv) {
-    const classes = (blockDiv.className || "").split(/\s+/).filter(Boolean);
-    const blockClass = classes.find((c33) => this.isCustomElementClass(c33));
-    if (!blockClass) {
-      return blockDiv.cloneNode(true);
-    }
-    const elementName = this.getElementName(blockDiv);
-    if (!elementName) {
-      return blockDiv.cloneNode(true);
-    }
-    const tagName = elementName.toLowerCase();
-    const parser = new DOMParser();
-    const tempDoc = parser.parseFromString(`<${tagName}></${tagName}>`, "text/html");
-    const element = tempDoc.body.firstElementChild;
-    if (!element) {
-      const fallbackElement = document.createElement(tagName);
-      return fallbackElement;
-    }
-    const otherClasses = classes.filter((c33) => c33 !== blockClass && c33 !== "experience-element" && c33 !== elementName);
-    if (otherClasses.length > 0) {
-      otherClasses.forEach((cls) => {
-        element.setAttribute(cls, "");
-      });
-    }
-    const rows = Array.from(blockDiv.children).filter((c33) => c33.tagName === "DIV");
-    const styleVars = {};
-    for (const row of rows) {
-      const parsed = this.parseBlockRow(row);
-      if (!parsed) continue;
-      const { slotName: rawSlotName, content, isSlot } = parsed;
-      if (rawSlotName === "element-name") {
-        continue;
-      }
-      const { name: slotName, tag: slotTag } = rawSlotName ? parseSlotNameWithTag(rawSlotName) : { name: null, tag: "div" };
-      const hasTagNotation = rawSlotName && rawSlotName !== slotName;
-      const textContent = content.textContent.trim();
-      const innerHTML = content.innerHTML.trim();
-      if (slotName?.startsWith("style-")) {
-        const varName = slotName.substring(6);
-        styleVars[`--${varName}`] = textContent;
-        continue;
-      }
-      const refs = this.parseReferences(textContent);
-      if (refs.length > 0 && this.isReferenceOnly(textContent)) {
-        for (const refId of refs) {
-          const refBlock = this.#blockMap.get(refId);
-          if (refBlock) {
-            const converted = this.convertBlock(refBlock);
-            if (slotName && slotName !== "children") {
-              converted.setAttribute("slot", slotName);
-            }
-            element.appendChild(converted);
-          }
-        }
-        continue;
-      }
-      const slottedChild = content.querySelector("[slot]");
-      if (slottedChild) {
-        Array.from(content.childNodes).forEach((node) => {
-          element.appendChild(node.cloneNode(true));
-        });
-        continue;
-      }
-      if (slotName === null) {
-        const children = Array.from(content.children);
-        if (children.length === 1 && children[0].tagName === "P") {
-          Array.from(children[0].childNodes).forEach((node) => {
-            element.appendChild(node.cloneNode(true));
-          });
-        } else {
-          Array.from(content.childNodes).forEach((node) => {
-            element.appendChild(node.cloneNode(true));
-          });
-        }
-        continue;
-      }
-      if (isSlot) {
-        const children = Array.from(content.children);
-        if (children.length === 1) {
-          const childTag = children[0].tagName.toLowerCase();
-          if (hasTagNotation && childTag === slotTag || /^(p|h[1-6]|div|ul|ol|table|blockquote|pre|figure)$/i.test(childTag)) {
-            const cloned = children[0].cloneNode(true);
-            cloned.setAttribute("slot", slotName);
-            element.appendChild(cloned);
-            continue;
-          }
-        }
-        const wrapper = document.createElement(hasTagNotation ? slotTag : "p");
-        wrapper.innerHTML = innerHTML;
-        wrapper.setAttribute("slot", slotName);
-        element.appendChild(wrapper);
-        continue;
-      }
-      const isSimplePWrapper = this.#isSimplePWrapper(content);
-      if (innerHTML !== textContent && !isSimplePWrapper) {
-        const converted = this.convertContent(content, slotName);
-        if (converted instanceof DocumentFragment) {
-          element.appendChild(converted);
-        } else if (converted) {
-          element.appendChild(converted);
-        }
-        continue;
-      }
-      if (hasTagNotation) {
-        const wrapper = document.createElement(slotTag);
-        wrapper.textContent = textContent;
-        wrapper.setAttribute("slot", slotName);
-        element.appendChild(wrapper);
-        continue;
-      }
-      if (slotName) {
-        const attrName = slotName === "attr-type" ? "type" : slotName;
-        element.setAttribute(attrName, textContent);
-      }
-    }
-    if (Object.keys(styleVars).length > 0) {
-      const styleStr = Object.entries(styleVars).map(([k2, v6]) => `${k2}: ${v6}`).join("; ");
-      element.setAttribute("style", styleStr);
-    }
-    return element;
-  }
-  /**
-   * Find all block divs in the document
-   */
-  findBlocks(root) {
-    const blocks = [];
-    const walk = (node) => {
-      if (node.nodeType !== Node.ELEMENT_NODE) return;
-      if (node.tagName === "DIV" && node.className) {
-        const classes = node.className.split(/\s+/);
-        if (classes.some((c33) => this.isCustomElementClass(c33))) {
-          blocks.push(node);
-          return;
-        }
-      }
-      for (const child of node.children) {
-        walk(child);
-      }
-    };
-    walk(root);
-    return blocks;
-  }
-  /**
-   * Find the root block (the one not referenced by any other block)
-   */
-  findRootBlock(blocks) {
-    if (blocks.length === 0) return null;
-    if (blocks.length === 1) return blocks[0];
-    const referencedIds = /* @__PURE__ */ new Set();
-    for (const block of blocks) {
-      const text = block.textContent;
-      const matches3 = text.matchAll(/→\s*([a-z][a-z0-9-]*-[a-z0-9]+)/gi);
-      for (const match of matches3) {
-        referencedIds.add(match[1].toLowerCase());
-      }
-    }
-    const blockCounts = /* @__PURE__ */ new Map();
-    const blockIds = /* @__PURE__ */ new Map();
-    for (const block of blocks) {
-      const elementName = this.getElementName(block);
-      if (elementName) {
-        const nameLower = elementName.toLowerCase();
-        const count = (blockCounts.get(nameLower) || 0) + 1;
-        blockCounts.set(nameLower, count);
-        const blockId = `${nameLower}-${count}`;
-        blockIds.set(block, blockId);
-      }
-    }
-    const unreferencedBlocks = [];
-    for (const block of blocks) {
-      const blockId = blockIds.get(block);
-      if (blockId && !referencedIds.has(blockId)) {
-        unreferencedBlocks.push(block);
-      }
-    }
-    if (unreferencedBlocks.length === 1) {
-      return unreferencedBlocks[0];
-    }
-    if (unreferencedBlocks.length > 1) {
-      return unreferencedBlocks[unreferencedBlocks.length - 1];
-    }
-    return blocks[blocks.length - 1];
-  }
-  /**
-   * Find all experience-element tables in the document (author format)
-   */
-  findTables(root) {
-    const tables = [];
-    for (const table of root.querySelectorAll("table")) {
-      const firstCell = table.querySelector("tr td");
-      if (firstCell?.textContent.trim() === "experience-element") {
-        tables.push(table);
-      }
-    }
-    return tables;
-  }
-  /**
-   * Build a map of table IDs from author format tables
-   */
-  buildTableMap(tables) {
-    this.#tableMap.clear();
-    const tableCounts = /* @__PURE__ */ new Map();
-    for (const table of tables) {
-      const elementName = this.getElementNameFromTable(table);
-      if (elementName) {
-        const nameLower = elementName.toLowerCase();
-        if (nameLower === "ee-reference") {
-          const dataRef = this.#getAttributeFromTable(table, "data-reference");
-          if (dataRef) {
-            const tableId2 = `ee-reference-${dataRef}`;
-            this.#tableMap.set(tableId2, table);
-            continue;
-          }
-        }
-        const count = (tableCounts.get(nameLower) || 0) + 1;
-        tableCounts.set(nameLower, count);
-        const tableId = `${nameLower}-${count}`;
-        this.#tableMap.set(tableId, table);
-      }
-    }
-  }
-  /**
-   * Get an attribute value from a table row
-   */
-  #getAttributeFromTable(table, attrName) {
-    const rows = table.querySelectorAll("tr");
-    for (const row of rows) {
-      const cells = row.querySelectorAll("td");
-      if (cells.length === 2 && cells[0].textContent.trim() === attrName) {
-        return cells[1].textContent.trim();
-      }
-    }
-    return null;
-  }
-  /**
-   * Extract element-name from a table
-   */
-  getElementNameFromTable(table) {
-    const rows = table.querySelectorAll("tr");
-    for (const row of rows) {
-      const cells = row.querySelectorAll("td");
-      if (cells.length === 2 && cells[0].textContent.trim() === "element-name") {
-        return cells[1].textContent.trim();
-      }
-    }
-    return null;
-  }
-  /**
-   * Convert an author format table to a custom element
-   */
-  convertTable(table) {
-    const elementName = this.getElementNameFromTable(table);
-    if (!elementName) {
-      return null;
-    }
-    const tagName = elementName.toLowerCase();
-    const parser = new DOMParser();
-    const tempDoc = parser.parseFromString(`<${tagName}></${tagName}>`, "text/html");
-    const element = tempDoc.body.firstElementChild;
-    if (!element) {
-      return document.createElement(tagName);
-    }
-    const rows = table.querySelectorAll("tr");
-    const styleVars = {};
-    for (const row of rows) {
-      const cells = row.querySelectorAll("td");
-      if (cells.length === 1 && cells[0].getAttribute("colspan") === "2") {
-        const text = cells[0].textContent.trim();
-        if (text === "experience-element") {
-          continue;
-        }
-        const children = Array.from(cells[0].children);
-        if (children.length === 1 && children[0].tagName === "P") {
-          Array.from(children[0].childNodes).forEach((node) => {
-            element.appendChild(node.cloneNode(true));
-          });
-        } else {
-          Array.from(cells[0].childNodes).forEach((node) => {
-            element.appendChild(node.cloneNode(true));
-          });
-        }
-        continue;
-      }
-      if (cells.length !== 2) continue;
-      const rawKey = cells[0].textContent.trim();
-      const valueCell = cells[1];
-      const textContent = valueCell.textContent.trim();
-      const innerHTML = valueCell.innerHTML.trim();
-      if (rawKey === "element-name") {
-        continue;
-      }
-      const { name: key, tag: slotTag } = parseSlotNameWithTag(rawKey);
-      const hasTagNotation = rawKey !== key;
-      if (key.startsWith("style-")) {
-        const varName = key.substring(6);
-        styleVars[`--${varName}`] = textContent;
-        continue;
-      }
-      const refs = this.parseReferences(textContent);
-      if (refs.length > 0 && this.isReferenceOnly(textContent)) {
-        for (const refId of refs) {
-          const refTable = this.#tableMap.get(refId);
-          if (refTable) {
-            const converted = this.convertTable(refTable);
-            if (converted) {
-              if (key && key !== "children") {
-                converted.setAttribute("slot", key);
-              }
-              element.appendChild(converted);
-            }
-          }
-        }
-        continue;
-      }
-      if (innerHTML !== textContent) {
-        const slottedChild = valueCell.querySelector("[slot]");
-        if (slottedChild) {
-          Array.from(valueCell.childNodes).forEach((node) => {
-            element.appendChild(node.cloneNode(true));
-          });
-          continue;
-        }
-        const children = Array.from(valueCell.children);
-        if (children.length === 1) {
-          const childTag = children[0].tagName.toLowerCase();
-          if (hasTagNotation && childTag === slotTag || /^(p|h[1-6]|div|ul|ol|table|blockquote|pre|figure)$/i.test(childTag)) {
-            const cloned = children[0].cloneNode(true);
-            if (key) {
-              cloned.setAttribute("slot", key);
-            }
-            element.appendChild(cloned);
-            continue;
-          }
-        }
-        const wrapper = document.createElement(hasTagNotation ? slotTag : "span");
-        wrapper.innerHTML = innerHTML;
-        if (key) {
-          wrapper.setAttribute("slot", key);
-        }
-        element.appendChild(wrapper);
-        continue;
-      }
-      if (hasTagNotation) {
-        const wrapper = document.createElement(slotTag);
-        wrapper.textContent = textContent;
-        wrapper.setAttribute("slot", key);
-        element.appendChild(wrapper);
-        continue;
-      }
-      if (key) {
-        const attrName = key === "attr-type" ? "type" : key;
-        element.setAttribute(attrName, textContent);
-      }
-    }
-    if (Object.keys(styleVars).length > 0) {
-      const styleStr = Object.entries(styleVars).map(([k2, v6]) => `${k2}: ${v6}`).join("; ");
-      element.setAttribute("style", styleStr);
-    }
-    return element;
-  }
-  /**
-   * Find the root table (the one not referenced by any other table)
-   */
-  findRootTable(tables) {
-    if (tables.length === 0) return null;
-    if (tables.length === 1) return tables[0];
-    const referencedIds = /* @__PURE__ */ new Set();
-    for (const table of tables) {
-      const text = table.textContent;
-      const matches3 = text.matchAll(/→\s*([a-z][a-z0-9-]*-[a-z0-9]+)/gi);
-      for (const match of matches3) {
-        referencedIds.add(match[1].toLowerCase());
-      }
-    }
-    const tableCounts = /* @__PURE__ */ new Map();
-    const tableIds = /* @__PURE__ */ new Map();
-    for (const table of tables) {
-      const elementName = this.getElementNameFromTable(table);
-      if (elementName) {
-        const nameLower = elementName.toLowerCase();
-        const count = (tableCounts.get(nameLower) || 0) + 1;
-        tableCounts.set(nameLower, count);
-        const tableId = `${nameLower}-${count}`;
-        tableIds.set(table, tableId);
-      }
-    }
-    const unreferencedTables = [];
-    for (const table of tables) {
-      const tableId = tableIds.get(table);
-      if (tableId && !referencedIds.has(tableId)) {
-        unreferencedTables.push(table);
-      }
-    }
-    if (unreferencedTables.length === 1) {
-      return unreferencedTables[0];
-    }
-    if (unreferencedTables.length > 1) {
-      return unreferencedTables[unreferencedTables.length - 1];
-    }
-    return tables[tables.length - 1];
-  }
-  /**
-   * Convert EDS HTML to custom element markup
-   * Supports both author format (tables) and published format (div blocks)
-   */
-  fromEDS(html) {
-    const parser = new DOMParser();
-    const doc3 = parser.parseFromString(html, "text/html");
-    const main = doc3.body.querySelector("main");
-    const root = main || doc3.body;
-    const tables = this.findTables(root);
-    if (tables.length > 0) {
-      this.buildTableMap(tables);
-      const rootTable = this.findRootTable(tables);
-      const converted2 = this.convertTable(rootTable);
-      return converted2 ? converted2.outerHTML : html;
-    }
-    const blocks = this.findBlocks(root);
-    if (blocks.length === 0) {
-      return html;
-    }
-    this.buildBlockMap(blocks);
-    const rootBlock = this.findRootBlock(blocks);
-    const converted = this.convertBlock(rootBlock);
-    return converted.outerHTML;
-  }
-  /**
-   * Convert EDS HTML to DOM element
-   * Supports both author format (tables) and published format (div blocks)
-   * Expects input wrapped in <body><header></header><main>content</main></body>
-   */
-  toElement(html) {
-    const parser = new DOMParser();
-    const doc3 = parser.parseFromString(html, "text/html");
-    const main = doc3.body.querySelector("main");
-    const root = main || doc3.body;
-    const tables = this.findTables(root);
-    if (tables.length > 0) {
-      this.buildTableMap(tables);
-      return this.convertTable(tables[0]);
-    }
-    const blocks = this.findBlocks(root);
-    if (blocks.length === 0) {
-      return root.firstElementChild;
-    }
-    this.buildBlockMap(blocks);
-    return this.convertBlock(blocks[0]);
-  }
-};
-function fromEds(input, options = {}) {
-  const deserializer = new EDSBlockDeserializer();
-  if (options.asElement) {
-    return deserializer.toElement(input);
-  }
-  return deserializer.fromEDS(input);
-}
-
 // src/da/da-source.js
 var BASE_URL = "https://admin.da.live";
 var DASource = class {
@@ -52252,7 +51228,7 @@ var DocumentStore = class {
       const slug = this.#generateSlug(name);
       path = parentUrn ? `${parentUrn}/${slug}` : slug;
     }
-    const edsHtml = html ? toEds(html, { format: "html" }) : "";
+    const edsHtml = html ? toEds(html, { format: "html", stableIds: true }) : "";
     const savePromise = this.#daSource.saveDocument(path, edsHtml);
     const result = await this.#trackWrite(savePromise);
     const fullPath = result.fullPath || `/${this.repo}/${result.path}`;
@@ -52281,7 +51257,8 @@ var DocumentStore = class {
     const result = await this.#daSource.getDocument(path);
     this.setIsLoading(false);
     if (!result) return null;
-    const html = fromEds(result.content);
+    // The editor saves what it loads, so it keeps the authored content as is (svg, style...)
+    const html = fromEds(result.content, { sanitize: false });
     const pathStr = result.path || path || "";
     const segments = pathStr.split("/").filter(Boolean);
     const lastSegment = segments[segments.length - 1] || "Untitled";
@@ -52379,7 +51356,8 @@ var DocumentStore = class {
     const result = await this.#daSource.getVersion(guid, ext);
     this.setIsLoading(false);
     if (!result) return null;
-    const html = fromEds(result.content);
+    // The editor saves what it loads, so it keeps the authored content as is (svg, style...)
+    const html = fromEds(result.content, { sanitize: false });
     return {
       guid: result.guid,
       html,
@@ -66722,6 +65700,7 @@ init_lit();
 init_lit();
 init_sp_overlay();
 init_sp_underlay();
+var referenceLogger = createLogger("ee-reference");
 var EeReference = class extends i4 {
   static styles = [i`
   :host {
@@ -66793,7 +65772,14 @@ var EeReference = class extends i4 {
     modalOpen: { type: Boolean, attribute: false },
     display: { type: String, reflect: true },
     fullWidth: { type: Boolean, attribute: "full-width", reflect: true, converter: booleanConverter },
-    stretch: { type: Boolean, reflect: true, converter: booleanConverter }
+    stretch: { type: Boolean, reflect: true, converter: booleanConverter },
+    // Load state: "loading", "loaded", "empty" (no content for the URN) or "error" (failed or timed out)
+    status: { type: String, reflect: true },
+    // Time to wait for the referenced content (ms), 0 waits as long as the request takes
+    timeout: { type: Number },
+    // JSON object of values for the {{name}} placeholders of the referenced content,
+    // data-param-* attributes override its entries
+    params: { type: String }
   };
   #currentRefToken = 0;
   #documentStore = null;
@@ -66801,7 +65787,8 @@ var EeReference = class extends i4 {
   #loadingUrn = null;
   #loadPromise = null;
   #log(method, message, data = {}) {
-    console.log(`[ee-reference] ${method}:`, message, { urn: this.urn, inline: this.inline, ...data });
+    if (!referenceLogger.enabled("debug")) return;
+    referenceLogger.debug(`${method}:`, message, { urn: this.urn, inline: this.inline, ...data });
   }
   constructor() {
     super();
@@ -66813,6 +65800,7 @@ var EeReference = class extends i4 {
     this.display = "block";
     this.fullWidth = false;
     this.stretch = false;
+    this.timeout = 1e4;
   }
   connectedCallback() {
     super.connectedCallback();
@@ -66855,6 +65843,24 @@ var EeReference = class extends i4 {
     if (changed.has("modal") && !this.modal) {
       this.modalOpen = false;
     }
+    if (changed.has("params") && this.#lastLoadedUrn) {
+      this.#log("updated", "Params changed, reloading content");
+      this.#updateFromUrn(true);
+    }
+  }
+  // Slots for the load state: loading while it loads, fallback when the content cannot be shown,
+  // error (before fallback) when the load failed or timed out
+  #renderStatus() {
+    switch (this.status) {
+      case "loading":
+        return x`<slot name="loading"></slot>`;
+      case "empty":
+        return x`<slot name="fallback"></slot>`;
+      case "error":
+        return x`<slot name="error"></slot><slot name="fallback"></slot>`;
+      default:
+        return E;
+    }
   }
   // Template renders trigger slot only when not inline; default slot always present
   render() {
@@ -66886,6 +65892,7 @@ var EeReference = class extends i4 {
               >
                 <div id="reference-modal-shell">
                   <div id="reference-modal-content">
+                    ${this.#renderStatus()}
                     <slot part="editor"></slot>
                   </div>
                 </div>
@@ -66894,6 +65901,7 @@ var EeReference = class extends i4 {
                       part="editor"
                       @slotchange=${this.#onTriggerSlotChange}
                     ></slot>` : E}
+              ${this.#renderStatus()}
               <slot part="editor"></slot>`}
       </div>
     `;
@@ -66932,6 +65940,7 @@ var EeReference = class extends i4 {
       this.#log("updateFromUrn", "Not inline and not forced, clearing content and returning");
       this.#clearDefaultSlotContent();
       this.#lastLoadedUrn = null;
+      this.status = void 0;
       return;
     }
     if (!force && urn && this.#lastLoadedUrn && this.#lastLoadedUrn === urn) {
@@ -66946,6 +65955,7 @@ var EeReference = class extends i4 {
     this.#clearDefaultSlotContent();
     if (!urn) {
       this.#log("updateFromUrn", "No URN provided, returning");
+      this.status = void 0;
       return;
     }
     if (this.#hasAncestorWithUrn(urn)) {
@@ -66963,34 +65973,52 @@ var EeReference = class extends i4 {
     }
     const token = ++this.#currentRefToken;
     this.#loadingUrn = urn;
+    this.status = "loading";
     this.#log("updateFromUrn", "Starting fetch", { token });
     const load = (async () => {
       this.#log("updateFromUrn", "Fetching document from store");
-      const doc3 = await this.#getDocument(urn);
+      let doc3;
+      try {
+        doc3 = await this.#withTimeout(this.#getDocument(urn));
+      } catch (error) {
+        if (token === this.#currentRefToken) {
+          this.#log("updateFromUrn", "Load failed", { error: error?.message });
+          this.#fail(urn, error?.name === "TimeoutError" ? "timeout" : "failed", error);
+        }
+        return;
+      }
       if (token !== this.#currentRefToken) {
         this.#log("updateFromUrn", "Token stale, aborting", { token, currentToken: this.#currentRefToken });
         return;
       }
       if (!doc3) {
         this.#log("updateFromUrn", "No document found for URN");
+        this.#fail(urn, "not-found");
         return;
       }
       this.#log("updateFromUrn", "Document fetched", { hasHtml: !!doc3.html, docKeys: Object.keys(doc3) });
       const htmlString = doc3.html;
-      if (!htmlString || typeof htmlString !== "string") {
+      if (!doc3.fragment && (!htmlString || typeof htmlString !== "string")) {
         this.#log("updateFromUrn", "Invalid HTML string in document", { htmlString });
+        this.#fail(urn, "empty");
         return;
       }
-      this.#log("updateFromUrn", "Deserializing element", { htmlLength: htmlString.length });
-      const el = this.#deserializeElement(htmlString);
+      this.#log("updateFromUrn", "Deserializing element", { htmlLength: htmlString?.length });
+      const el = doc3.fragment || this.#deserializeElement(htmlString);
       if (!el) {
         this.#log("updateFromUrn", "Failed to deserialize element");
+        this.#fail(urn, "empty");
         return;
       }
+      const params = readReferenceParams(this);
+      this.#log("updateFromUrn", "Applying params", { params });
+      applyReferenceParams(el, params);
       this.#log("updateFromUrn", "Appending element to DOM", { tagName: el.tagName });
       el.removeAttribute && el.removeAttribute("slot");
       this.appendChild(el);
       this.#lastLoadedUrn = urn;
+      this.status = "loaded";
+      this.dispatchEvent(new CustomEvent("ee-reference:loaded", { bubbles: true, composed: true, detail: { urn } }));
       this.#log("updateFromUrn", "Load complete", { lastLoadedUrn: this.#lastLoadedUrn });
     })();
     this.#loadPromise = load.finally(() => {
@@ -67002,6 +66030,25 @@ var EeReference = class extends i4 {
     });
     return this.#loadPromise;
   }
+  // Rejects with a TimeoutError when the content takes longer than the timeout property
+  #withTimeout(promise) {
+    if (!(this.timeout > 0)) return promise;
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`Timed out after ${this.timeout}ms`);
+        error.name = "TimeoutError";
+        reject(error);
+      }, this.timeout);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+  // Shows the fallback (and error) slots and reports why the content is missing:
+  // "not-found" and "empty" set the status to empty, "failed" and "timeout" to error
+  #fail(urn, reason, error = null) {
+    this.status = reason === "failed" || reason === "timeout" ? "error" : "empty";
+    this.dispatchEvent(new CustomEvent("ee-reference:error", { bubbles: true, composed: true, detail: { urn, reason, error } }));
+  }
   #resolveDocumentStore() {
     if (window.eeStores?.documentStore) {
       this.#log("resolveDocumentStore", "Using global eeStores.documentStore");
@@ -67013,21 +66060,17 @@ var EeReference = class extends i4 {
   #isPreviewMode() {
     return !window.eeStores?.documentStore;
   }
+  // Loads through the shared reference cache: one fetch and conversion per URN, cloned per use
   async #fetchFromUrl(path) {
-    const segments = path.replace(/^\/+/, "").replace(/\.html$/, "").split("/");
-    const contentPath = segments.slice(2).join("/");
-    const url = `${window.location.origin}/${contentPath}.plain.html`;
-    this.#log("fetchFromUrl", "Fetching from URL", { path, contentPath, url });
-    const response = await fetch(url);
-    if (!response.ok) {
-      this.#log("fetchFromUrl", "Fetch failed", { status: response.status });
+    const url = referenceUrl(path);
+    this.#log("fetchFromUrl", "Loading from the reference cache", { path, url });
+    const fragment = await loadReference(path);
+    if (!fragment) {
+      this.#log("fetchFromUrl", "No content found", { url });
       return null;
     }
-    const edsHtml = await response.text();
-    this.#log("fetchFromUrl", "Fetch successful, converting from EDS format", { edsHtmlLength: edsHtml.length });
-    const html = fromEds(edsHtml);
-    this.#log("fetchFromUrl", "Converted to custom element HTML", { htmlLength: html.length });
-    return { html };
+    this.#log("fetchFromUrl", "Loaded converted content", { childCount: fragment.children.length });
+    return { fragment };
   }
   #clearDefaultSlotContent() {
     const toRemove = [];
@@ -67157,6 +66200,7 @@ var EeReference = class extends i4 {
   // Public: force refresh the referenced content even if URN is unchanged
   refresh() {
     this.#log("refresh", "Force refresh requested");
+    if (this.#isPreviewMode() && this.urn) clearReferenceCache(this.urn);
     this.#lastLoadedUrn = null;
     this.#updateFromUrn(true);
   }
@@ -67252,17 +66296,46 @@ EeReference.ee = {
           label: "Stretch trigger",
           description: "Stretch the trigger slot and its content to the whole width of the parent.",
           evaluate: ({ element: element2 }) => ({ render: !element2.hasAttribute("inline") || element2.hasAttribute("modal") })
+        },
+        timeout: {
+          type: "text",
+          default: "10000",
+          label: "Timeout (ms)",
+          description: "How long to wait for the referenced content before showing the error state.",
+          placeholder: "10000"
+        },
+        params: {
+          type: "text",
+          default: "",
+          label: "Parameters",
+          description: "JSON values for the {{name}} placeholders of the referenced content. data-param-* attributes override them.",
+          placeholder: '{"plan-name": "Pro"}'
         }
       },
       // Trigger slot: when provided, referenced content loads upon a 'fire' event
+      // Loading, error and fallback slots: shown while the content loads, or when it cannot be shown
       slots: {
         // Hide 'trigger' slot in authoring UI when inline is present on the element
-        order: isInline2 ? [] : ["trigger"],
+        order: [...isInline2 ? [] : ["trigger"], "loading", "error", "fallback"],
         configs: {
           trigger: {
             label: "Trigger",
             description: "Click target to load the experience. Accepts inline text or checkout-link.",
             placeholder: "Open experience\u2026"
+          },
+          loading: {
+            label: "Loading",
+            description: "Shown while the referenced content loads (e.g. a skeleton).",
+            placeholder: "Loading\u2026"
+          },
+          error: {
+            label: "Error",
+            description: "Shown when the referenced content fails to load or times out.",
+            placeholder: "Content unavailable."
+          },
+          fallback: {
+            label: "Fallback",
+            description: "Shown when the referenced content is empty or cannot be loaded."
           }
         }
       }
@@ -0,0 +1,297 @@
+/**
+ * eds-round-trip.js - Round-trip checks between toEds and fromEds
+ *
+ * toEds (custom element markup → EDS tables) and fromEds (EDS → custom element markup)
+ * are the two halves of one format. For any markup, fromEds(toEds(html)) must give the
+ * same markup back, modulo the normalization done by normalizeMarkup:
+ * - attributes are sorted, and the style attribute is re-serialized declaration by declaration
+ * - whitespace-only text nodes are dropped and whitespace runs collapse to one space
+ * - children are grouped by slot (default slot first, then by slot name), keeping their order
+ *   within a slot: the format stores one row per slot, so sibling order across slots is not kept
+ * - a lone <p> as the whole default slot content is unwrapped, as the format does for DA content
+ * - data-reference on ee-reference is dropped, it is derived from the urn
+ * - event handler attributes are dropped, the format never stores them
+ * - attributes typed boolean in the element schema and set to "false" are dropped, they read as
+ *   false like absent ones
+ *
+ * Corpus entries may list the schemas of their elements by tag name (entry.schemas), for the
+ * type hints; corpusEntryOptions adds them to the options of the checks.
+ *
+ * Usage in the browser console (registered element types need the bundle):
+ *   const rt = await import('/scripts/eds-round-trip.js');
+ *   rt.runRoundTripCorpus([...rt.ROUND_TRIP_CORPUS, ...rt.buildElementCorpus()]);
+ *
+ * Usage in Node, with any DOM implementation:
+ *   runRoundTripCorpus(ROUND_TRIP_CORPUS, { window: new JSDOM().window });
+ */
+
+import { fromEds } from './from-eds.js';
+import { toEds } from './to-eds.js';
+import { isEventHandlerAttribute } from './vanilla-tags.js';
+
+/**
+ * Markup covering the format conventions: attributes, attr-type, style variables,
+ * tag notation slots, inline and block slot content, default content, nested and
+ * repeated elements, ee-reference IDs, stable IDs from authoring uids, and typed attributes
+ */
+export const ROUND_TRIP_CORPUS = [
+  {
+    name: 'paywall-card',
+    html: `<paywall-card plan-name="Firefly Standard" type="individual" style="--card-background: #fff">
+      <h2 slot="heading">Firefly Standard</h2>
+      <p slot="description">Generate images with <strong>Firefly</strong></p>
+      <ee-media slot="media" src="/media/firefly.png" alt="Firefly"></ee-media>
+      <paywall-card-badge slot="badge">Best value</paywall-card-badge>
+    </paywall-card>`,
+  },
+  {
+    name: 'paywall-container',
+    html: `<paywall-container>
+      <paywall-card plan-name="Standard"><h3 slot="heading">Standard</h3></paywall-card>
+      <paywall-card plan-name="Pro"><h3 slot="heading">Pro</h3></paywall-card>
+    </paywall-container>`,
+  },
+  {
+    name: 'merch-card-compare',
+    html: `<merch-card-compare variant="compare">
+      <h3 slot="heading-xs">Photoshop</h3>
+      <merch-list slot="list">
+        <merch-list-item>Edit photos</merch-list-item>
+        <merch-list-item>Generative fill</merch-list-item>
+      </merch-list>
+      <checkout-button slot="footer" osi="abc123">Buy now</checkout-button>
+    </merch-card-compare>`,
+  },
+  {
+    name: 'acom-faq',
+    html: `<acom-faq>
+      <acom-faq-item><span slot="question">What is Firefly?</span><p slot="answer">A family of <em>generative</em> models.</p></acom-faq-item>
+      <acom-faq-item><span slot="question">Is it free?</span><p slot="answer">There is a free plan.</p></acom-faq-item>
+    </acom-faq>`,
+  },
+  {
+    name: 'ee-media',
+    html: '<ee-media src="/media/hero.png" alt="Hero" loading="eager"></ee-media>',
+  },
+  {
+    name: 'ee-reference',
+    html: '<ee-reference urn="urn:eeid:1234" inline display="inline-block"></ee-reference>',
+  },
+  {
+    name: 'ee-reference-booleans',
+    html: '<ee-reference urn="urn:eeid:5678" inline="false" modal full-width="false" stretch=""></ee-reference>',
+    schemas: {
+      'ee-reference': {
+        attributes: {
+          inline: { type: 'boolean' },
+          modal: { type: 'boolean' },
+          'full-width': { type: 'boolean' },
+          stretch: { type: 'boolean' },
+        },
+      },
+    },
+  },
+  {
+    name: 'parameter-placeholders',
+    html: `<paywall-card data-ee-param-types="seats:number featured:boolean" seats="{{seats}}" featured="{{featured}}" style="--accent: {{color}}">
+      <h3 slot="heading">{{plan-name}}</h3>
+    </paywall-card>`,
+  },
+  {
+    name: 'stable-ids',
+    html: `<paywall-container>
+      <paywall-card data-ee-uid="k3x9a1" plan-name="Standard"></paywall-card>
+      <paywall-card plan-name="Pro"></paywall-card>
+      <paywall-card data-ee-uid="m7q2b8" plan-name="Team"></paywall-card>
+    </paywall-container>`,
+  },
+  {
+    name: 'ee-list',
+    html: '<ee-list><ee-list-item>First</ee-list-item><ee-list-item>Second <strong>item</strong></ee-list-item></ee-list>',
+  },
+  {
+    name: 'sp-theme',
+    html: '<sp-theme system="spectrum-two" color="light" scale="medium"><section><h1>Hello</h1><p>Default content</p></section></sp-theme>',
+  },
+];
+
+/**
+ * Stable sort key of a child node: default slot first, then slot names
+ */
+function slotKey(node) {
+  return node.nodeType === 1 ? node.getAttribute('slot') || '' : '';
+}
+
+/**
+ * Options of the checks of a corpus entry: getSchema looks up entry.schemas first
+ * @param {{ schemas?: Object }} entry Corpus entry
+ * @param {Object} [options] Options of checkRoundTrip
+ * @returns {Object} The options to check the entry with
+ */
+export function corpusEntryOptions({ schemas }, options = {}) {
+  if (!schemas) return options;
+  return {
+    ...options,
+    getSchema: (element) => schemas[element.tagName.toLowerCase()] || options.getSchema?.(element),
+  };
+}
+
+/**
+ * Type of an attribute in the element schema, null without schema
+ */
+function attributeType(node, name, getSchema) {
+  try {
+    return getSchema?.(node)?.attributes?.[name]?.type || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Normalize a node tree in place (see the module documentation for the rules)
+ */
+function normalizeNode(node, getSchema) {
+  const children = Array.from(node.childNodes);
+  children.forEach((child) => {
+    if (child.nodeType === 3) {
+      if (!child.textContent.trim()) {
+        child.remove();
+      } else {
+        child.textContent = child.textContent.replace(/\s+/g, ' ');
+      }
+    } else if (child.nodeType === 1) {
+      normalizeNode(child, getSchema);
+    } else {
+      child.remove();
+    }
+  });
+
+  if (node.nodeType !== 1) return;
+
+  // A lone <p> as the whole default slot content is unwrapped
+  const defaultContent = Array.from(node.childNodes).filter((child) => slotKey(child) === '');
+  const [lone] = defaultContent;
+  if (defaultContent.length === 1 && lone.nodeType === 1 && lone.tagName === 'P' && !lone.attributes.length) {
+    lone.replaceWith(...lone.childNodes);
+  }
+
+  // Group children by slot, keeping their order within a slot
+  Array.from(node.childNodes)
+    .map((child, index) => ({ child, index, key: slotKey(child) }))
+    .sort((a, b) => a.key.localeCompare(b.key) || a.index - b.index)
+    .forEach(({ child }) => node.appendChild(child));
+
+  if (node.tagName.toLowerCase() === 'ee-reference') {
+    node.removeAttribute('data-reference');
+  }
+
+  const style = node.getAttribute('style');
+  if (style !== null) {
+    const declarations = style.split(';')
+      .map((decl) => decl.split(':').map((part) => part.trim()))
+      .filter(([prop]) => prop)
+      .map(([prop, ...value]) => `${prop}: ${value.join(':')}`);
+    node.setAttribute('style', declarations.join('; '));
+  }
+
+  const attributes = Array.from(node.attributes)
+    .map(({ name, value }) => [name, value])
+    .sort(([a], [b]) => a.localeCompare(b));
+  attributes.forEach(([name]) => node.removeAttribute(name));
+  attributes
+    .filter(([name]) => !isEventHandlerAttribute(name))
+    .filter(([name, value]) => value !== 'false' || attributeType(node, name, getSchema) !== 'boolean')
+    .forEach(([name, value]) => node.setAttribute(name, value));
+}
+
+/**
+ * Normalize custom element markup so equivalent markup compares equal
+ * @param {string} html Custom element markup
+ * @param {Object} [options]
+ * @param {Window} [options.window] DOM implementation, defaults to the global window
+ * @param {Function} [options.getSchema] Element schema lookup for typed attributes
+ * @returns {string} The normalized markup
+ */
+export function normalizeMarkup(html, options = {}) {
+  const { window: domWindow = window, getSchema } = options;
+  const doc = new domWindow.DOMParser().parseFromString(`<html><body>${html}</body></html>`, 'text/html');
+  normalizeNode(doc.body, getSchema);
+  return doc.body.innerHTML;
+}
+
+/**
+ * Serialize markup to the EDS format and read it back
+ * @param {string} html Custom element markup with a single root element
+ * @param {Object} [options]
+ * @param {Window} [options.window] DOM implementation, defaults to the global window
+ * @param {Function} [options.getSchema] Element schema lookup for type hints, see EDSSerializer
+ * @returns {{ eds: string, html: string }} The EDS tables and the markup read back from them
+ */
+export function roundTrip(html, options = {}) {
+  const { window: domWindow, getSchema } = options;
+  const eds = toEds(html, { format: 'html', window: domWindow, getSchema });
+  return { eds, html: fromEds(eds, { window: domWindow }) };
+}
+
+/**
+ * Check that markup survives the round trip
+ * @param {string} html Custom element markup with a single root element
+ * @param {Object} [options]
+ * @param {Window} [options.window] DOM implementation, defaults to the global window
+ * @param {Function} [options.getSchema] Element schema lookup for type hints, see EDSSerializer
+ * @returns {{ ok: boolean, expected: string, actual: string, eds: string }}
+ */
+export function checkRoundTrip(html, options = {}) {
+  const { eds, html: converted } = roundTrip(html, options);
+  const expected = normalizeMarkup(html, options);
+  const actual = normalizeMarkup(converted, options);
+  return {
+    ok: expected === actual, expected, actual, eds,
+  };
+}
+
+/**
+ * Build a corpus entry per registered element type, from the markup its library creates
+ * @param {Array} [elements] Library entries ({ tag, create }), defaults to every element
+ *   registered with the editor's library store
+ * @returns {Array<{ name: string, html: string }>}
+ */
+export function buildElementCorpus(elements = window.eeStores?.libraryStore?.allElements || []) {
+  return elements
+    .map(({ tag, create }) => {
+      try {
+        const element = create();
+        return element ? { name: tag, html: element.outerHTML } : null;
+      } catch (error) {
+        return { name: tag, html: `<${tag}></${tag}>` };
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Run the round-trip check over a corpus and report the failures
+ * @param {Array<{ name: string, html: string }>} [corpus] Defaults to ROUND_TRIP_CORPUS
+ * @param {Object} [options]
+ * @param {Window} [options.window] DOM implementation, defaults to the global window
+ * @returns {{ passed: number, failed: Array }} failed lists { name, expected, actual, eds }
+ *   (or { name, error } when a conversion throws)
+ */
+export function runRoundTripCorpus(corpus = ROUND_TRIP_CORPUS, options = {}) {
+  const failed = [];
+  let passed = 0;
+  corpus.forEach((entry) => {
+    const { name, html } = entry;
+    try {
+      const result = checkRoundTrip(html, corpusEntryOptions(entry, options));
+      if (result.ok) {
+        passed += 1;
+      } else {
+        failed.push({ name, ...result });
+      }
+    } catch (error) {
+      failed.push({ name, error });
+    }
+  });
+  return { passed, failed };
+}
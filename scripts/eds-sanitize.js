@@ -0,0 +1,162 @@
+/**
+ * eds-sanitize.js - Sanitization policy for content read from EDS documents
+ *
+ * fromEds copies authored HTML into slots, sanitizeContent removes what the policy does not allow:
+ * - script-like tags (script, iframe, object...) are removed with their content
+ * - other tags outside policy.tags are unwrapped, their content is kept
+ * - custom elements are kept when policy.customElements is true, or when listed in it
+ * - attributes outside policy.attributes are removed from HTML tags (custom elements keep theirs)
+ * - event handler attributes and URLs whose scheme is not in policy.urlSchemes are always removed
+ *
+ * isSafeStyleValue checks the values of style-* rows, which become CSS custom properties
+ *
+ * A policy can be narrowed per slot with policy.slots, keyed by "element-name/slot" or "slot":
+ * { ...DEFAULT_SANITIZE_POLICY, slots: { terms: { tags: ["p", "a", "strong"] } } }
+ */
+
+import { VANILLA_TAGS, isEventHandlerAttribute } from './vanilla-tags.js';
+
+/**
+ * Tags removed together with their content
+ */
+const REMOVED_TAGS = new Set([
+  'script',
+  'style',
+  'iframe',
+  'frame',
+  'frameset',
+  'object',
+  'embed',
+  'applet',
+  'noscript',
+  'template',
+  'link',
+  'meta',
+  'base',
+  'svg',
+  'math',
+]);
+
+/**
+ * Attributes holding a URL (srcset holds a list of them)
+ */
+const URL_ATTRIBUTES = new Set(['href', 'src', 'srcset', 'action', 'formaction', 'poster', 'cite', 'background', 'xlink:href']);
+
+/**
+ * Safe defaults: text, lists, tables, media and links to http(s), mailto and tel URLs
+ */
+const DEFAULT_SANITIZE_POLICY = {
+  tags: [
+    ...VANILLA_TAGS,
+    'div', 's', 'sub', 'sup', 'small', 'mark', 'code', 'pre', 'blockquote', 'hr',
+    'ul', 'ol', 'li', 'picture', 'source', 'img', 'figure', 'figcaption',
+    'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'caption',
+    'del', 'ins', 'abbr', 'cite', 'q', 'time',
+    'section', 'article', 'aside', 'header', 'footer', 'nav',
+  ],
+  attributes: [
+    'href', 'target', 'rel', 'title', 'alt', 'src', 'srcset', 'sizes', 'media', 'type',
+    'width', 'height', 'loading', 'class', 'lang', 'dir', 'datetime', 'colspan', 'rowspan',
+    'slot', 'role', /^aria-/, /^data-/,
+  ],
+  urlSchemes: ['http', 'https', 'mailto', 'tel'],
+  customElements: true,
+};
+
+/**
+ * Tests a name against a list of names and regular expressions
+ */
+function matchesName(list, name) {
+  return list.some((entry) => (entry instanceof RegExp ? entry.test(name) : entry === name));
+}
+
+/**
+ * Check a URL attribute value: relative URLs are allowed, absolute ones need an allowed scheme
+ */
+function isSafeUrl(name, value, urlSchemes) {
+  const urls = name === 'srcset' ? value.split(',').map((candidate) => candidate.trim().split(/\s+/)[0]) : [value];
+  return urls.every((url) => {
+    // Browsers ignore whitespace and control characters inside the scheme ("java\tscript:")
+    const compact = Array.from(url).filter((char) => char.charCodeAt(0) > 32).join('');
+    const match = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+    return !match || urlSchemes.includes(match[1].toLowerCase());
+  });
+}
+
+/**
+ * Check a custom element tag against the policy
+ */
+function isCustomElementAllowed(policy, tagName) {
+  const { customElements: allowed } = policy;
+  return allowed === true || (Array.isArray(allowed) && allowed.includes(tagName));
+}
+
+/**
+ * Sanitize the children of root in place
+ * onRemove is called with a description of every removed tag or attribute
+ */
+function sanitizeContent(root, policy = DEFAULT_SANITIZE_POLICY, onRemove = () => {}) {
+  const tags = new Set(policy.tags);
+  const walk = (parent) => {
+    Array.from(parent.childNodes).forEach((node) => {
+      if (node.nodeType === 8) {
+        node.remove();
+        return;
+      }
+      if (node.nodeType !== 1) return;
+
+      const tagName = node.tagName.toLowerCase();
+      const isCustomElement = tagName.includes('-');
+      if (REMOVED_TAGS.has(tagName)) {
+        onRemove(`Removed <${tagName}>`);
+        node.remove();
+        return;
+      }
+      if (isCustomElement ? !isCustomElementAllowed(policy, tagName) : !tags.has(tagName)) {
+        walk(node);
+        onRemove(`Unwrapped <${tagName}>`);
+        node.replaceWith(...node.childNodes);
+        return;
+      }
+
+      Array.from(node.attributes).forEach(({ name, value }) => {
+        const allowed = !isEventHandlerAttribute(name)
+          && (isCustomElement || matchesName(policy.attributes, name))
+          && (!URL_ATTRIBUTES.has(name) || isSafeUrl(name, value, policy.urlSchemes));
+        if (!allowed) {
+          onRemove(`Removed ${name} from <${tagName}>`);
+          node.removeAttribute(name);
+        }
+      });
+      walk(node);
+    });
+  };
+  walk(root);
+  return root;
+}
+
+/**
+ * Check an attribute row value: URL attributes need an allowed scheme
+ */
+function isSafeAttributeValue(name, value, policy = DEFAULT_SANITIZE_POLICY) {
+  return !URL_ATTRIBUTES.has(name) || isSafeUrl(name, value, policy.urlSchemes);
+}
+
+/**
+ * style-* values that could end the declaration or load a resource ("red; background: url(...)")
+ */
+const UNSAFE_STYLE_VALUE = /[;{}\\]|url\(|expression\(/i;
+
+/**
+ * Check a style-* row value, set as a CSS custom property
+ */
+function isSafeStyleValue(value) {
+  return !UNSAFE_STYLE_VALUE.test(value);
+}
+
+export {
+  DEFAULT_SANITIZE_POLICY,
+  sanitizeContent,
+  isSafeAttributeValue,
+  isSafeStyleValue,
+};
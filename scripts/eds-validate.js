@@ -0,0 +1,253 @@
+/**
+ * eds-validate.js - Check hydrated experience elements against their author schemas
+ *
+ * Every custom element whose class has an author schema (Ctor.ee.getSchema()) is checked for:
+ * - enum attributes with a value outside their options, and missing required attributes
+ * - slots with fewer children than minLength or more than maxLength, text slots (inlineEditable)
+ *   with fewer or more characters
+ * - slot children that are not in the allowedTags of the slot, and children of unknown slots
+ *
+ * Violations are logged with console.warn, and an ee:validation event is dispatched on each
+ * invalid element (it bubbles), with event.detail.violations listing
+ * { element, kind: "attribute" | "slot", name, reason, message, stripped }.
+ * With options.strip, invalid attribute values and extra or disallowed slot children are removed
+ * (text that is too long is reported, never cut).
+ * Each element is validated once: later calls skip the elements already validated, so the content
+ * hydrated after the first call can be validated on its own.
+ *
+ * Opt in with the ee-validate page metadata: "warn" reports, "strip" also removes invalid values.
+ */
+
+// Elements already validated
+const validatedElements = new WeakSet();
+
+/**
+ * Wait until a custom element is defined, false after timeout ms
+ */
+function whenDefined(tagName, timeout) {
+  if (customElements.get(tagName)) return Promise.resolve(true);
+  return Promise.race([
+    customElements.whenDefined(tagName).then(() => true),
+    new Promise((resolve) => { setTimeout(() => resolve(false), timeout); }),
+  ]);
+}
+
+/**
+ * Author schema of an element, from the ee API of its registered class
+ */
+function getElementSchema(element) {
+  const ctor = customElements.get(element.tagName.toLowerCase());
+  try {
+    return ctor?.ee?.getSchema?.(element) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check that a slot child is allowed: its own tag is listed, or it is an HTML wrapper
+ * (e.g. the <p> around an inline-price) whose custom elements are all listed
+ */
+function isAllowedChild(child, allowedTags) {
+  const tagName = child.tagName.toLowerCase();
+  if (allowedTags.includes(tagName)) return true;
+  if (tagName.includes('-')) return false;
+  return Array.from(child.querySelectorAll('*'))
+    .filter((el) => el.tagName.includes('-'))
+    .every((el) => allowedTags.includes(el.tagName.toLowerCase()));
+}
+
+/**
+ * Validate the attributes of an element against schema.attributes
+ */
+function validateAttributes(element, attributes, strip) {
+  const violations = [];
+  Object.entries(attributes || {}).forEach(([name, config]) => {
+    if (!element.hasAttribute(name)) {
+      if (config?.required) {
+        violations.push({
+          kind: 'attribute', name, reason: 'missing-attribute', message: `Attribute "${name}" is required`, stripped: false,
+        });
+      }
+      return;
+    }
+    if (config?.type !== 'enum' || !Array.isArray(config.options)) return;
+    const value = element.getAttribute(name);
+    const options = config.options.map((option) => (typeof option === 'object' ? option.value : option));
+    if (!options.includes(value)) {
+      if (strip) element.removeAttribute(name);
+      violations.push({
+        kind: 'attribute',
+        name,
+        reason: 'invalid-option',
+        message: `Attribute "${name}" is "${value}", expected one of ${options.join(', ')}`,
+        stripped: strip,
+      });
+    }
+  });
+  return violations;
+}
+
+/**
+ * Text of a slot: the text of its children, and of the unslotted text nodes for the default slot
+ */
+function getSlotText(element, slotName, children) {
+  const ownText = slotName === 'default'
+    ? Array.from(element.childNodes)
+      .filter((node) => node.nodeType === Node.TEXT_NODE)
+      .map((node) => node.textContent)
+    : [];
+  return [...ownText, ...children.map((child) => child.textContent)].join('').trim();
+}
+
+/**
+ * Validate the text length of an inline editable slot against minLength and maxLength
+ */
+function validateTextLength(element, slotName, children, config) {
+  const { length } = getSlotText(element, slotName, children);
+  const maxLength = config.maxLength == null ? Infinity : Number(config.maxLength);
+  if (length > maxLength) {
+    return [{
+      kind: 'slot',
+      name: slotName,
+      reason: 'text-too-long',
+      message: `Slot "${slotName}" has ${length} characters, at most ${maxLength} allowed`,
+      stripped: false,
+    }];
+  }
+  if (config.minLength && length < config.minLength) {
+    return [{
+      kind: 'slot',
+      name: slotName,
+      reason: 'text-too-short',
+      message: `Slot "${slotName}" has ${length} characters, at least ${config.minLength} required`,
+      stripped: false,
+    }];
+  }
+  return [];
+}
+
+/**
+ * Validate the slotted children of an element against schema.slots.configs
+ * minLength and maxLength count the children of the slot, or its characters for text slots
+ */
+function validateSlots(element, slots, strip) {
+  const configs = slots?.configs;
+  if (!configs) return [];
+  const violations = [];
+
+  const bySlot = new Map();
+  Array.from(element.children).forEach((child) => {
+    const slotName = child.getAttribute('slot') || 'default';
+    if (!bySlot.has(slotName)) bySlot.set(slotName, []);
+    bySlot.get(slotName).push(child);
+  });
+
+  bySlot.forEach((children, slotName) => {
+    if (!configs[slotName] && slotName !== 'default') {
+      violations.push({
+        kind: 'slot', name: slotName, reason: 'unknown-slot', message: `Slot "${slotName}" is not in the schema`, stripped: false,
+      });
+    }
+  });
+
+  Object.entries(configs).forEach(([slotName, config]) => {
+    let children = bySlot.get(slotName) || [];
+    const allowedTags = config.allowedTags && [].concat(config.allowedTags);
+    if (allowedTags) {
+      children.filter((child) => !isAllowedChild(child, allowedTags)).forEach((child) => {
+        if (strip) child.remove();
+        violations.push({
+          kind: 'slot',
+          name: slotName,
+          reason: 'disallowed-tag',
+          message: `<${child.tagName.toLowerCase()}> is not allowed in slot "${slotName}", expected ${allowedTags.join(', ')}`,
+          stripped: strip,
+        });
+      });
+      if (strip) children = children.filter((child) => child.parentElement === element);
+    }
+
+    if (config.inlineEditable === true) {
+      violations.push(...validateTextLength(element, slotName, children, config));
+      return;
+    }
+
+    const maxLength = config.maxLength == null ? Infinity : Number(config.maxLength);
+    if (children.length > maxLength) {
+      if (strip) children.slice(maxLength).forEach((child) => child.remove());
+      violations.push({
+        kind: 'slot',
+        name: slotName,
+        reason: 'too-many-children',
+        message: `Slot "${slotName}" has ${children.length} children, at most ${maxLength} allowed`,
+        stripped: strip,
+      });
+    }
+
+    // Default slot text counts as content
+    const hasText = slotName === 'default' && Array.from(element.childNodes)
+      .some((node) => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+    const count = children.length || (hasText ? 1 : 0);
+    if (config.minLength && count < config.minLength) {
+      violations.push({
+        kind: 'slot',
+        name: slotName,
+        reason: 'too-few-children',
+        message: `Slot "${slotName}" has ${count} children, at least ${config.minLength} required`,
+        stripped: false,
+      });
+    }
+  });
+  return violations;
+}
+
+/**
+ * Validate the experience elements in root (root included) against their author schemas
+ * @param {Element} root Hydrated content, e.g. main
+ * @param {Object} [options]
+ * @param {boolean} [options.strip] Remove invalid attribute values, and extra or disallowed
+ *   slot children
+ * @param {Function} [options.getSchema] Returns the author schema of an element,
+ *   defaults to the ee.getSchema of the registered element class
+ * @param {number} [options.timeout] How long to wait for element definitions (ms), elements still
+ *   undefined are skipped (and validated by a later call)
+ * @returns {Promise<Array>} The violations of the elements validated by this call
+ */
+// eslint-disable-next-line import/prefer-default-export
+export async function validateExperienceElements(root, options = {}) {
+  const { strip = false, getSchema, timeout = 5000 } = options;
+  const elements = [root, ...root.querySelectorAll('*')].filter((el) => el.tagName.includes('-'));
+
+  if (!getSchema) {
+    const tagNames = new Set(elements.map((el) => el.tagName.toLowerCase()));
+    await Promise.all(Array.from(tagNames).map((tagName) => whenDefined(tagName, timeout)));
+  }
+
+  const violations = [];
+  elements.forEach((element) => {
+    // Skip elements stripped along with an invalid parent slot child
+    if (element !== root && !root.contains(element)) return;
+    if (validatedElements.has(element)) return;
+    const schema = (getSchema || getElementSchema)(element);
+    if (!schema) return;
+    validatedElements.add(element);
+    const elementViolations = [
+      ...validateAttributes(element, schema.attributes, strip),
+      ...validateSlots(element, schema.slots, strip),
+    ].map((violation) => ({ element, ...violation }));
+    if (!elementViolations.length) return;
+
+    const tagName = element.tagName.toLowerCase();
+    elementViolations.forEach(({ message }) => {
+      // eslint-disable-next-line no-console
+      console.warn(`[ee-validate] <${tagName}> ${message}`, element);
+    });
+    element.dispatchEvent(new CustomEvent('ee:validation', {
+      bubbles: true,
+      detail: { violations: elementViolations },
+    }));
+    violations.push(...elementViolations);
+  });
+  return violations;
+}
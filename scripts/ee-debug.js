@@ -0,0 +1,185 @@
+/**
+ * Debug overlay for experience element pages, shown when the ee-debug setting turns debugging on
+ * (e.g. ?ee-debug=1 on the live site, see ee-logger.js)
+ *
+ * Each converted element is outlined and labelled with its source block ID (paywall-card-2), and
+ * the panel lists the blocks with their EDS rows, resolved references, and the time spent on
+ * conversion and on the upgrade of the element (definition and first render).
+ */
+
+import { loadCSS } from './aem.js';
+
+/**
+ * Returns the debug panel, created on first use
+ */
+function getPanel() {
+  let panel = document.querySelector('.ee-debug-panel');
+  if (!panel) {
+    loadCSS(`${window.hlx.codeBasePath}/styles/ee-debug.css`);
+    panel = document.createElement('aside');
+    panel.className = 'ee-debug-panel';
+    const heading = document.createElement('h2');
+    heading.textContent = 'Experience elements';
+    panel.append(heading);
+    document.body.append(panel);
+  }
+  return panel;
+}
+
+/**
+ * Shows a hydration error in the debug panel
+ * @param {Error} error The error thrown while hydrating
+ * @param {Object} [context]
+ * @param {string} [context.blockId] ID of the block that failed (e.g. paywall-card-2)
+ * @param {string} [context.recovery] What the page shows instead (original markup or fallback)
+ */
+export function showErrorOverlay(error, { blockId, recovery } = {}) {
+  const entry = document.createElement('details');
+  entry.className = 'ee-debug-error';
+  entry.open = true;
+  const summary = document.createElement('summary');
+  summary.textContent = `Hydration failed${blockId ? ` in ${blockId}` : ''}: ${error?.message || error}`;
+  entry.append(summary);
+  if (recovery) {
+    const note = document.createElement('p');
+    note.textContent = `Showing the ${recovery} instead`;
+    entry.append(note);
+  }
+  if (error?.stack) {
+    const stack = document.createElement('pre');
+    stack.textContent = error.stack;
+    entry.append(stack);
+  }
+  getPanel().append(entry);
+}
+
+/**
+ * Formats a duration in ms
+ */
+function formatTime(ms) {
+  return ms == null ? '?' : `${ms.toFixed(1)}ms`;
+}
+
+/**
+ * Resolves with the time from mounted until the element is defined and rendered,
+ * null when it is not defined within timeout ms
+ */
+async function measureUpgrade(element, mounted, timeout = 10000) {
+  const tagName = element.tagName.toLowerCase();
+  const defined = await Promise.race([
+    customElements.whenDefined(tagName).then(() => true),
+    new Promise((resolve) => { setTimeout(() => resolve(false), timeout); }),
+  ]);
+  if (!defined) return null;
+  // Lit elements render asynchronously
+  await element.updateComplete;
+  return performance.now() - mounted;
+}
+
+/**
+ * Creates a list item per entry, or nothing when there are no entries
+ */
+function createList(title, items) {
+  const fragment = document.createDocumentFragment();
+  if (!items.length) return fragment;
+  const heading = document.createElement('h3');
+  heading.textContent = title;
+  const list = document.createElement('ul');
+  items.forEach((text) => {
+    const item = document.createElement('li');
+    item.textContent = text;
+    list.append(item);
+  });
+  fragment.append(heading, list);
+  return fragment;
+}
+
+/**
+ * Creates the panel entry of a converted block
+ */
+function createBlockEntry(record, elements, mounted) {
+  const entry = document.createElement('details');
+  entry.className = 'ee-debug-block';
+  const summary = document.createElement('summary');
+  const upgrade = document.createElement('span');
+  upgrade.textContent = 'upgrade pending';
+  summary.append(
+    `${record.blockId} <${record.elementName}> convert ${formatTime(record.duration)}, `,
+    upgrade,
+  );
+  entry.append(
+    summary,
+    createList('Rows', record.rows.map(({ key, text }) => `${key || '(content)'}: ${text.slice(0, 120)}`)),
+    createList('References', record.references.map(({ id, status }) => `→ ${id} (${status})`)),
+  );
+
+  if (elements.length) {
+    measureUpgrade(elements[0], mounted).then((ms) => {
+      upgrade.textContent = ms == null ? 'not defined' : `upgrade ${formatTime(ms)}`;
+    });
+  } else {
+    upgrade.textContent = 'not on the page';
+  }
+
+  const highlight = (on) => elements.forEach((element) => element.toggleAttribute('data-ee-debug-highlight', on));
+  entry.addEventListener('mouseenter', () => highlight(true));
+  entry.addEventListener('mouseleave', () => highlight(false));
+  summary.addEventListener('click', () => elements[0]?.scrollIntoView({ block: 'center' }));
+  return entry;
+}
+
+/**
+ * Positions a label with the block ID over each converted element
+ */
+function placeLabels(layer, elements) {
+  layer.replaceChildren(...elements.map((element) => {
+    const rect = element.getBoundingClientRect();
+    const label = document.createElement('span');
+    label.className = 'ee-debug-label';
+    label.textContent = element.dataset.eeBlockId;
+    label.style.top = `${rect.top + window.scrollY}px`;
+    label.style.left = `${rect.left + window.scrollX}px`;
+    label.hidden = !rect.width && !rect.height;
+    return label;
+  }));
+}
+
+/**
+ * Shows the source block of each converted element, and lists the blocks in the debug panel
+ * @param {Element} root The hydrated content
+ * @param {Array} trace Conversion records (EDSBlockDeserializer#trace)
+ * @param {Object} [timings]
+ * @param {number} [timings.conversion] Time spent converting the blocks (ms)
+ * @param {number} [timings.mounted] performance.now() when the elements were added to the page
+ * @param {number} [timings.pending] Number of references left for progressive hydration
+ */
+export function showHydrationOverlay(root, trace, timings = {}) {
+  const { conversion, mounted = performance.now(), pending = 0 } = timings;
+  document.body.classList.add('ee-debug');
+  const panel = getPanel();
+  const summary = document.createElement('p');
+  summary.textContent = `${trace.length} blocks converted in ${formatTime(conversion)}`
+    + `${pending ? `, ${pending} references deferred` : ''}`;
+  panel.append(summary);
+
+  const elements = [...root.querySelectorAll('[data-ee-block-id]')];
+  trace.forEach((record) => {
+    const { blockId } = record;
+    const recordElements = elements.filter((element) => element.dataset.eeBlockId === blockId);
+    panel.append(createBlockEntry(record, recordElements, mounted));
+  });
+
+  // Labels follow layout changes, e.g. when elements render after their upgrade
+  const layer = document.createElement('div');
+  layer.className = 'ee-debug-labels';
+  document.body.append(layer);
+  let frame;
+  const update = () => {
+    cancelAnimationFrame(frame);
+    frame = requestAnimationFrame(() => {
+      placeLabels(layer, elements.filter((element) => element.isConnected));
+    });
+  };
+  new ResizeObserver(update).observe(document.body);
+  update();
+}
@@ -0,0 +1,158 @@
+/**
+ * ee-logger.js - Debug logger shared by the experience elements, the editor and the site scripts
+ *
+ * Each module logs under a namespace ("ee-reference", "save-helpers", "EditorHistoryStore"...),
+ * and nothing is written to the console unless debugging is turned on, either with the URL:
+ *   ?ee-debug                            every namespace, from the debug level
+ *   ?ee-debug=ee-reference               one namespace (a comma-separated list, "*" for all)
+ *   ?ee-debug=ee-reference:warn,*:error  a level per namespace
+ * or with the same value in localStorage, which lasts across pages:
+ *   localStorage.setItem("ee-debug", "save-helpers,EditorHistoryStore")
+ *
+ * ?ee-debug=1 and ?ee-debug=true also enable every namespace, ?ee-debug=0 and ?ee-debug=false none.
+ * isDebugEnabled tells the site scripts whether the same setting turns debugging on, e.g. for the
+ * debug overlay of experience element pages.
+ * Levels: debug < info < warn < error. A namespace entry logs its level and above.
+ *
+ * Production builds define EE_LOGGING as false (esbuild --define:EE_LOGGING=false): createLogger
+ * then returns no-op loggers, and the settings are never read.
+ */
+
+const STORAGE_KEY = 'ee-debug';
+
+const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+};
+
+// Bare ee-debug values that switch every namespace on or off
+const ALL_NAMESPACES = new Set(['', '*', '1', 'true', 'on']);
+const NO_NAMESPACES = new Set(['0', 'false', 'off']);
+
+// eslint-disable-next-line no-undef
+const LOGGING_BUILD = typeof EE_LOGGING === 'undefined' || EE_LOGGING !== false;
+
+const noop = () => {};
+
+const NOOP_LOGGER = Object.freeze({
+  namespace: null,
+  enabled: () => false,
+  debug: noop,
+  info: noop,
+  warn: noop,
+  error: noop,
+});
+
+let debugRules = null;
+
+/**
+ * Parse an ee-debug value into [{ namespace, level }] rules
+ * An empty value, "1" or "true" enables everything, "0" or "false" nothing
+ */
+function parseDebugSetting(value) {
+  const setting = String(value ?? '').trim().toLowerCase();
+  if (ALL_NAMESPACES.has(setting)) return [{ namespace: '*', level: 'debug' }];
+  if (NO_NAMESPACES.has(setting)) return [];
+  const entries = String(value).split(',').map((entry) => entry.trim()).filter(Boolean);
+  return entries.map((entry) => {
+    const separator = entry.lastIndexOf(':');
+    const level = separator > 0 ? entry.slice(separator + 1).toLowerCase() : '';
+    if (level in LOG_LEVELS) {
+      return { namespace: entry.slice(0, separator), level };
+    }
+    return { namespace: entry, level: 'debug' };
+  });
+}
+
+/**
+ * Read the ee-debug setting from the URL, then localStorage, null when debugging is off
+ */
+function readDebugSetting() {
+  try {
+    const params = new URLSearchParams(window.location.search);
+    if (params.has(STORAGE_KEY)) return params.get(STORAGE_KEY);
+    return window.localStorage.getItem(STORAGE_KEY);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Rules in effect, read once per page
+ */
+function getDebugRules() {
+  if (!debugRules) {
+    const setting = readDebugSetting();
+    debugRules = setting == null ? [] : parseDebugSetting(setting);
+  }
+  return debugRules;
+}
+
+/**
+ * Replace the debug setting of the page (same syntax as ?ee-debug), null turns logging off
+ * and undefined reads the URL and localStorage again
+ */
+function configureLogger(setting) {
+  if (setting === undefined) {
+    debugRules = null;
+  } else {
+    debugRules = setting === null ? [] : parseDebugSetting(setting);
+  }
+}
+
+/**
+ * Check if the debug setting of the page enables any namespace
+ * Independent of EE_LOGGING, so debug tools outside the loggers follow the setting in any build
+ */
+function isDebugEnabled() {
+  return getDebugRules().length > 0;
+}
+
+/**
+ * Minimum level logged for a namespace, null when the namespace is off
+ * The last matching rule wins, so "*:error,ee-reference" logs everything for ee-reference
+ */
+function namespaceLevel(namespace) {
+  const rule = getDebugRules()
+    .filter((entry) => entry.namespace === '*' || entry.namespace === namespace)
+    .pop();
+  return rule ? LOG_LEVELS[rule.level] : null;
+}
+
+/**
+ * Create a logger for a namespace
+ * The level is checked on every call, so configureLogger applies to loggers created before it.
+ * Use enabled(level) to skip building expensive log data.
+ * @param {string} namespace e.g. "ee-reference"
+ * @returns {Object} { namespace, enabled(level), debug(...args), info, warn, error }
+ */
+function createLogger(namespace) {
+  if (!LOGGING_BUILD) return NOOP_LOGGER;
+  const enabled = (level = 'debug') => {
+    const minimum = namespaceLevel(namespace);
+    return minimum != null && LOG_LEVELS[level] >= minimum;
+  };
+  const method = (level) => (...args) => {
+    if (!enabled(level)) return;
+    // eslint-disable-next-line no-console
+    const write = level === 'debug' ? console.log : console[level];
+    write.call(console, `[${namespace}]`, ...args);
+  };
+  return {
+    namespace,
+    enabled,
+    debug: method('debug'),
+    info: method('info'),
+    warn: method('warn'),
+    error: method('error'),
+  };
+}
+
+export {
+  createLogger,
+  configureLogger,
+  isDebugEnabled,
+  LOG_LEVELS,
+};
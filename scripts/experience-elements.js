@@ -0,0 +1,274 @@
+/**
+ * Experience elements on EDS pages, hydrated from the experience-element blocks
+ * Configured with page metadata:
+ * - ee-mode: "sections" upgrades each block inside its section and keeps the rest of the page,
+ *   otherwise (page mode) the page is replaced by the experience elements
+ * - ee-hydration: "progressive" converts the first block levels right away and deeper
+ *   references as they come near the viewport
+ * - ee-validate: "warn" or "strip", checks the hydrated elements against their author schemas
+ *   before they are shown
+ * - ee-fallback: path of a fragment shown when hydration fails, instead of the authored blocks
+ * - ee-reference-cache: "session" keeps referenced content in sessionStorage across pages
+ *
+ * The work follows the page phases of scripts.js:
+ * - eager (hydrateExperienceElements): block conversion, the sp-theme wrapper, the prefetch
+ *   of the referenced content (ee-reference), and the schema validation before the first render
+ * - lazy (loadLazyExperienceElements): progressive hydration of deferred references, each
+ *   validated as it is hydrated
+ * - delayed (loadDelayedExperienceElements): validation of the elements defined too late
+ *   for the eager phase
+ *
+ * When hydration throws, the original EDS markup (or the fallback fragment) is put back, an error
+ * checkpoint with the failing block ID is sent to RUM, and ?ee-debug shows the error on the page.
+ * scripts.js then loads the restored main as a regular EDS page, in both modes.
+ * With ?ee-debug, the page also shows the source block of each element (see ee-debug.js), and the
+ * elements log their work to the console (see ee-logger.js for namespaces and levels).
+ */
+
+import { createOptimizedPicture, getMetadata, sampleRUM } from './aem.js';
+import { EDSBlockDeserializer, observeDeferredBlocks } from './from-eds.js';
+import {
+  configureReferenceCache,
+  prefetchReferences,
+  prefetchReferenceBlocks,
+} from './reference-cache.js';
+import { createLogger, isDebugEnabled } from './ee-logger.js';
+import { createTheme } from './theme.js';
+
+const logger = createLogger('ee-hydrate');
+
+// How long the eager validation waits for element definitions, it holds back the first render
+const EAGER_VALIDATION_TIMEOUT = 1000;
+
+// Deserializers kept for the lazy phase, by the main element they hydrated
+const deserializers = new WeakMap();
+
+/**
+ * Reads the experience element options from page metadata and the ee-debug setting
+ * @returns {Object} mode ("page" or "sections"), lazy, validate, fallback, referenceCache, debug
+ *   and pictures options
+ */
+export function getExperienceElementsOptions() {
+  return {
+    mode: getMetadata('ee-mode') === 'sections' ? 'sections' : 'page',
+    lazy: getMetadata('ee-hydration') === 'progressive',
+    validate: getMetadata('ee-validate'),
+    fallback: getMetadata('ee-fallback'),
+    referenceCache: getMetadata('ee-reference-cache'),
+    // Same setting as the loggers, so ?ee-debug=0 turns the overlay off too
+    debug: isDebugEnabled(),
+    // Rebuild authored images as optimized pictures (the first one is loaded eagerly for LCP)
+    pictures: { createOptimizedPicture },
+  };
+}
+
+/**
+ * Converts the experience-element blocks of main to their root custom elements
+ * Without progressive hydration, the blocks are serialized and converted in one go
+ */
+function convertBlocks(main, deserializer, lazy) {
+  if (lazy) return deserializer.upgradeBlocks(main);
+
+  // Wrap all experience-element blocks in a structure that fromEds expects
+  const blocks = Array.from(main.querySelectorAll('.experience-element'));
+  const html = blocks.map((block) => block.outerHTML).join('');
+  const source = `<body><header></header><main>${html}</main></body>`;
+  const customElementHtml = deserializer.fromEDS(source);
+
+  // Parse the result and get the root custom elements (one per independent experience element)
+  // fromEDS hands its input back when nothing was converted, that markup is never mounted
+  const rootElements = customElementHtml === source ? [] : Array.from(
+    new DOMParser().parseFromString(customElementHtml, 'text/html').body.children,
+  );
+  if (blocks.length && !rootElements.length) {
+    throw new Error(`No experience element in the conversion of ${blocks.length} blocks`);
+  }
+  return rootElements;
+}
+
+/**
+ * Replaces main with the root elements, in a new main inside an sp-theme
+ * A single sp-theme root element is reused as the wrapper
+ */
+function mountRootElements(main, rootElements) {
+  const newMain = document.createElement('main');
+  if (rootElements.length === 1 && rootElements[0].tagName.toLowerCase() === 'sp-theme') {
+    const [spTheme] = rootElements;
+    newMain.append(...spTheme.childNodes);
+    spTheme.append(newMain);
+    main.replaceWith(spTheme);
+  } else {
+    const spTheme = createTheme();
+    newMain.append(...rootElements);
+    spTheme.append(newMain);
+    main.replaceWith(spTheme);
+  }
+  return newMain;
+}
+
+/**
+ * Converts the blocks and mounts the elements, throws when a block cannot be converted
+ */
+function hydrate(main, deserializer, { mode, lazy }) {
+  let container = main;
+  let count;
+  if (mode === 'sections') {
+    // Upgrade each block inside its section, the regular EDS decoration handles the rest
+    count = deserializer.upgradeBlocks(main).length;
+    if (!main.closest('sp-theme')) {
+      const spTheme = createTheme();
+      main.replaceWith(spTheme);
+      spTheme.append(main);
+    }
+  } else {
+    const rootElements = convertBlocks(main, deserializer, lazy);
+    count = rootElements.length;
+    container = mountRootElements(main, rootElements);
+  }
+
+  if (lazy) deserializers.set(container, deserializer);
+  logger.debug(`${count} elements hydrated in ${mode} mode`, { lazy });
+  sampleRUM('ee-hydrated', { source: mode, target: String(count) });
+  return container;
+}
+
+/**
+ * Validates the elements under root that were not validated yet (see eds-validate.js)
+ * @returns {Promise<Array>} The violations, empty when validation fails
+ */
+async function validateElements(root, validate, timeout) {
+  try {
+    const { validateExperienceElements } = await import('./eds-validate.js');
+    return await validateExperienceElements(root, {
+      strip: validate === 'strip',
+      timeout,
+    });
+  } catch (error) {
+    logger.warn('validation failed', error);
+    return [];
+  }
+}
+
+/**
+ * Puts the authored content back after a failed hydration, or the fallback fragment when set
+ * @returns {Promise<Element>} The main element now in the page
+ */
+async function recoverFromError(main, original, error, { fallback, debug }) {
+  const blockId = error?.blockId || null;
+  // eslint-disable-next-line no-console
+  console.error('Experience element hydration failed', blockId, error);
+  sampleRUM('error', { source: 'ee-hydrate', target: blockId || String(error?.message || error) });
+
+  let restored = original;
+  if (fallback) {
+    try {
+      // eslint-disable-next-line import/no-cycle
+      const { loadFragment } = await import('../blocks/fragment/fragment.js');
+      restored = await loadFragment(fallback) || original;
+    } catch (fragmentError) {
+      // eslint-disable-next-line no-console
+      console.error('Experience element fallback failed', fragmentError);
+    }
+  }
+  main.replaceWith(restored);
+
+  if (debug) {
+    const { showErrorOverlay } = await import('./ee-debug.js');
+    const recovery = restored === original ? 'original markup' : `fallback ${fallback}`;
+    showErrorOverlay(error, { blockId, recovery });
+  }
+  return restored;
+}
+
+/**
+ * Hydrates the experience elements of main (eager phase)
+ * @param {Element} main The main element
+ * @param {Object} [options] Overrides of the metadata options (see getExperienceElementsOptions)
+ * @returns {Promise<Element>} The main element holding the content, a new one in page mode
+ *   or after a failed hydration, main itself when it has no experience-element blocks
+ */
+export async function hydrateExperienceElements(main, options = {}) {
+  const config = { ...getExperienceElementsOptions(), ...options };
+  const {
+    lazy, pictures, debug, referenceCache, validate,
+  } = config;
+  // Before the bundle defines ee-reference, which loads through the shared cache
+  configureReferenceCache({ persist: referenceCache === 'session', pictures });
+  // A page without experience-element blocks is a regular EDS page
+  if (!main.querySelector('.experience-element')) return main;
+  const original = main.cloneNode(true);
+  const deserializer = new EDSBlockDeserializer({
+    pictures,
+    deferDepth: lazy ? 2 : Infinity,
+    trace: debug,
+  });
+
+  let container;
+  const start = performance.now();
+  try {
+    container = hydrate(main, deserializer, config);
+  } catch (error) {
+    return recoverFromError(main, original, error, config);
+  }
+  // Deferred blocks are not in the container yet, their references are read from the blocks
+  const prefetched = Array.from(new Set([
+    ...prefetchReferences(container),
+    ...prefetchReferenceBlocks(deserializer.deferredBlocks),
+  ]));
+  logger.debug('references prefetched', prefetched);
+  if (prefetched.length) sampleRUM('ee-prefetch', { target: String(prefetched.length) });
+
+  // Before the first render, so strip mode removes content nobody has seen yet
+  if (validate) {
+    const root = container.closest('sp-theme') || container;
+    const violations = await validateElements(root, validate, EAGER_VALIDATION_TIMEOUT);
+    sampleRUM('ee-validated', { source: validate, target: String(violations.length) });
+  }
+
+  if (debug) {
+    const mounted = performance.now();
+    const { showHydrationOverlay } = await import('./ee-debug.js');
+    showHydrationOverlay(container, deserializer.trace, {
+      conversion: mounted - start,
+      mounted,
+      pending: deserializer.pending.length,
+    });
+  }
+  return container;
+}
+
+/**
+ * Starts the progressive hydration of deferred references (lazy phase)
+ * @param {Element} main The main element returned by hydrateExperienceElements
+ * @param {Object} [options] Overrides of the metadata options (see getExperienceElementsOptions)
+ */
+export function loadLazyExperienceElements(main, options = {}) {
+  const deserializer = deserializers.get(main);
+  if (!deserializer) return;
+  deserializers.delete(main);
+  const { validate } = { ...getExperienceElementsOptions(), ...options };
+  sampleRUM('ee-deferred', { target: String(deserializer.pending.length) });
+  observeDeferredBlocks(main, deserializer, {
+    onHydrate: validate ? (element) => validateElements(element, validate) : undefined,
+    onError: (error) => {
+      const blockId = error?.blockId || null;
+      // eslint-disable-next-line no-console
+      console.error('Deferred experience element hydration failed', blockId, error);
+      sampleRUM('error', { source: 'ee-hydrate-deferred', target: blockId || String(error?.message || error) });
+    },
+  });
+}
+
+/**
+ * Validates the elements defined too late for the eager phase (delayed phase)
+ * @param {Element} main The main element returned by hydrateExperienceElements
+ * @param {Object} [options] Overrides of the metadata options (see getExperienceElementsOptions)
+ * @returns {Promise<Array>} The violations, empty when validation is off
+ */
+export async function loadDelayedExperienceElements(main, options = {}) {
+  const { validate } = { ...getExperienceElementsOptions(), ...options };
+  if (!validate) return [];
+  const violations = await validateElements(main.closest('sp-theme') || main, validate);
+  sampleRUM('ee-validated', { source: validate, target: String(violations.length) });
+  return violations;
+}
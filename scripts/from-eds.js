@@ -1,5 +1,5 @@
 /**
- * fromEds.js - Convert EDS output back to custom element markup
+ * from-eds.js - Convert EDS output back to custom element markup
  *
  * Supports two formats:
  * 1. Author format (divs) - returned from DA when retrieving stored content
@@ -23,7 +23,28 @@
  * </paywall-card>
  */
 
-import { VANILLA_TAGS, BLOCK_TAGS } from "./vanilla-tags.js";
+/* global globalThis */
+
+import {
+  VANILLA_TAGS,
+  BLOCK_TAGS,
+  FORMAT_VERSION,
+  TYPED_KEY_PATTERN,
+  UID_ATTRIBUTE,
+  PARAM_PLACEHOLDER_PATTERN,
+  PARAM_TYPES_ATTRIBUTE,
+  unescapeAttributeName,
+  isEventHandlerAttribute,
+  uidBlockId,
+  parseTypedValue,
+  hasParamPlaceholder,
+} from './vanilla-tags.js';
+import {
+  DEFAULT_SANITIZE_POLICY,
+  sanitizeContent,
+  isSafeAttributeValue,
+  isSafeStyleValue,
+} from './eds-sanitize.js';
 
 /**
  * Parse slot name with optional tag: "heading[h2]" → { name: "heading", tag: "h2" }
@@ -37,88 +58,726 @@ function parseSlotNameWithTag(slotName) {
   return { name: slotName, tag: 'div' };
 }
 
+/**
+ * Parse an attribute key with an optional type hint:
+ * "count:number" → { name: "count", type: "number" }
+ * Returns { name, type } where type is null if no hint is given
+ */
+function parseTypedKey(key) {
+  const match = key.match(TYPED_KEY_PATTERN);
+  if (match) {
+    return { name: match[1], type: match[2] };
+  }
+  return { name: key, type: null };
+}
+
+/**
+ * Conversion hooks by element tag, see EDSBlockDeserializer.registerTagHandler
+ * Kept on a global symbol like the reference cache, so handlers registered through another copy
+ * of this module (a separately built bundle) still apply
+ */
+function getTagHandlers() {
+  const key = Symbol.for('ee-tag-handlers');
+  if (!globalThis[key]) {
+    globalThis[key] = new Map();
+  }
+  return globalThis[key];
+}
+
+/**
+ * Current time in ms, for the conversion trace
+ */
+function currentTime() {
+  return globalThis.performance ? globalThis.performance.now() : Date.now();
+}
+
+/**
+ * Valid custom element name: lowercase, starts with a letter and contains a hyphen
+ */
+const CUSTOM_ELEMENT_NAME = /^[a-z][a-z0-9._]*-[a-z0-9._-]*$/;
+
+/**
+ * Check that an element-name can be rendered: custom element names, and the block-level tags
+ * toEds writes as blocks (BLOCK_TAGS). Any other name (img, script, "x-card onclick=...") is
+ * never created from authored content
+ */
+function isRenderableTagName(tagName) {
+  return CUSTOM_ELEMENT_NAME.test(tagName) || BLOCK_TAGS.has(tagName);
+}
+
+/**
+ * Block-level tags whose single element can carry the slot attribute directly
+ */
+const SLOTTABLE_BLOCK_TAGS = /^(p|h[1-6]|div|ul|ol|table|blockquote|pre|figure)$/i;
+
+/**
+ * Readers from a block div or table to the row model, keyed by format version
+ * A version only needs its own reader when the block structure changes,
+ * otherwise the reader of the closest lower version is used
+ */
+const FORMAT_READERS = new Map([
+  [1, (deserializer, node) => (node.tagName === 'TABLE' ? deserializer.readTable(node) : deserializer.readBlock(node))],
+]);
+
+/**
+ * Row model migrations, keyed by the format version they upgrade from
+ * Each returns the model rewritten to the conventions of the next version, e.g. for a renamed key:
+ *   [1, (model) => ({
+ *     ...model,
+ *     rows: model.rows.map((row) => (row.key === "old" ? { ...row, key: "new" } : row)),
+ *   })]
+ * so documents stored with any earlier version keep rendering
+ */
+const FORMAT_MIGRATIONS = new Map([
+  // Version 1 only escaped "attr-type", other "attr-*" keys were attribute names as written
+  [1, (model) => ({
+    ...model,
+    rows: model.rows.map((row) => (
+      !row.isSlot && row.key?.startsWith('attr-') && !/^attr-type(:|$)/.test(row.key)
+        ? { ...row, key: `attr-${row.key}` }
+        : row)),
+  })],
+  // Version 2 had no type hints, a key ending in ":number", ":boolean" or ":json" was
+  // the attribute name
+  [2, (model) => ({
+    ...model,
+    rows: model.rows.map((row) => (!row.isSlot && row.key && TYPED_KEY_PATTERN.test(row.key)
+      ? { ...row, key: `${row.key}:string` }
+      : row)),
+  })],
+]);
+
+/**
+ * Attribute names setAttribute accepts in every browser, anything else (spaces, an empty name
+ * from a bare "attr-" key, quotes) would throw InvalidCharacterError and stop the hydration
+ */
+const ATTRIBUTE_NAME = /^[a-zA-Z_:][\w.:-]*$/;
+
+/**
+ * Tests an attribute name against a list of names and regular expressions
+ */
+function matchesAttribute(list, name) {
+  return list.some((entry) => (entry instanceof RegExp ? entry.test(name) : entry === name));
+}
+
+/**
+ * Both formats are first read into the same row model, then converted by a single routine,
+ * so an author table and its published div block always produce the same markup:
+ * {
+ *   elementName: "paywall-card",   // element-name row (or block class for div blocks)
+ *   variants: ["dark"],            // extra block classes, set as boolean attributes
+ *   version: 1,                    // format-version row of the block (1 when missing)
+ *   formatError: null,             // set when the format-version row cannot be honored
+ *   rows: [{ index, key, isSlot, content, error }]
+ * }
+ * Blocks are read with the reader of their format version, then migrated to FORMAT_VERSION
+ * key is the raw first cell ("heading[h2]", "style-color", null for single-cell rows),
+ * isSlot is true when the key is bold, content is the value cell,
+ * error describes a malformed row (wrong cell count), which is reported and skipped
+ */
 class EDSBlockDeserializer {
   #blockMap = new Map();
-  #tableMap = new Map();
+
+  #blockIds = new Map();
+
+  #converted = new Set();
+
+  #converting = new Set();
+
+  #deferred = new Map();
+
+  #diagnostics = [];
+
+  #window;
+
+  #attributes;
+
+  #sanitize;
+
+  #getSchema;
+
+  #deferDepth;
+
+  #depthOffset = 0;
+
+  #pictures;
+
+  #eagerPictures = 0;
+
+  #trace;
+
+  /**
+   * @param {Object} [options]
+   * @param {Window} [options.window] DOM implementation to use (e.g. a linkedom or jsdom window),
+   *   defaults to the global window so the deserializer works unchanged in the browser
+   * @param {Object} [options.attributes] Attribute rows to accept, as names or regular expressions:
+   *   { allow: [...] } only accepts the listed names, { deny: [...] } rejects them.
+   *   Event handler attributes (on*) are always rejected
+   * @param {Object|false} [options.sanitize] Sanitization policy for authored content
+   *   (see eds-sanitize.js), defaults to DEFAULT_SANITIZE_POLICY, false keeps authored content
+   *   as is
+   * @param {Function} [options.getSchema] Returns the author schema of an element (used for slot
+   *   policies), defaults to the ee.getSchema of the registered element class
+   * @param {number} [options.deferDepth] Number of block levels converted right away (the root is
+   *   level 1), deeper references become placeholders converted later with hydrateDeferred
+   * @param {Object} [options.pictures] Rebuild the images of slots as optimized pictures:
+   *   { createOptimizedPicture, breakpoints, basePath, eager } where createOptimizedPicture is the
+   *   aem.js one, breakpoints maps "element-name/slot", "slot" or "default" to
+   *   createOptimizedPicture breakpoints (the breakpoints of the slot in the author schema come
+   *   before "default"), basePath rebases "./media_" paths to another document (like
+   *   loadFragment) and eager is the number of images loaded eagerly for LCP (1 by default)
+   * @param {boolean} [options.trace] Record how each block was converted (see trace), and mark the
+   *   converted elements with data-ee-block-id
+   */
+  constructor({
+    window: domWindow = globalThis.window,
+    attributes = {},
+    sanitize = DEFAULT_SANITIZE_POLICY,
+    getSchema,
+    deferDepth = Infinity,
+    pictures = null,
+    trace = false,
+  } = {}) {
+    if (!domWindow?.DOMParser || !domWindow?.document) {
+      throw new Error(
+        'EDSBlockDeserializer requires a DOM implementation, pass { window } outside the browser',
+      );
+    }
+    this.#window = domWindow;
+    this.#attributes = { allow: attributes.allow || null, deny: attributes.deny || [] };
+    this.#sanitize = sanitize;
+    this.#getSchema = getSchema || ((element) => this.#window.customElements
+      ?.get(element.tagName.toLowerCase())?.ee?.getSchema?.(element));
+    this.#deferDepth = deferDepth;
+    this.#pictures = pictures;
+    this.#trace = trace ? new Map() : null;
+  }
+
+  /**
+   * Register conversion hooks for an element tag, so element libraries own their EDS mapping rules
+   * Registering a tag again replaces its hooks. All hooks are optional:
+   * - toId({ elementName, rows, getRowValue }) returns the ID that references ("→ id") use for the
+   *   block, or null for the counter-based ID (element-name-N)
+   * - convertRow(element, row, context) returns true when it handled the row, which skips the
+   *   generic rules; row is { index, key, isSlot, content, text } with the content already
+   *   sanitized
+   * - finalize(element, context) runs once the rows are converted, and may return a replacement
+   *   element
+   * context is { blockId, document, deserializer }. For example, to turn an osi row into a price:
+   *   EDSBlockDeserializer.registerTagHandler("merch-card", {
+   *     convertRow(element, row, { document }) {
+   *       if (row.key !== "osi") return false;
+   *       const price = document.createElement("span");
+   *       price.setAttribute("is", "inline-price");
+   *       price.dataset.wcsOsi = row.text;
+   *       element.append(price);
+   *       return true;
+   *     },
+   *   });
+   * @param {string} tag Element tag name
+   * @param {{ toId?: Function, convertRow?: Function, finalize?: Function }} handler
+   */
+  static registerTagHandler(tag, handler) {
+    getTagHandlers().set(tag.toLowerCase(), handler);
+  }
+
+  /**
+   * Document used to create new nodes
+   */
+  get #document() {
+    return this.#window.document;
+  }
+
+  /**
+   * Warnings collected during the last conversion
+   * Each entry is { blockId, row, reason, message } where reason is one of:
+   * "unresolved-reference", "reference-cycle", "orphan-block", "duplicate-reference",
+   * "unknown-tag", "multiple-roots", "invalid-row", "invalid-value", "blocked-attribute",
+   * "blocked-style", "sanitized", "missing-element-name" or "unsupported-format-version"
+   * blockId is null when the block has no ID, row is the 0-based row index (null for block-level
+   * warnings). "multiple-roots" only comes from findRootBlock and findRootTable, which expect
+   * a single root: pages with several root elements are valid
+   */
+  get diagnostics() {
+    return this.#diagnostics.slice();
+  }
+
+  /**
+   * Conversion records of the blocks converted since the last conversion started
+   * (with options.trace)
+   * Each entry is { blockId, elementName, rows, references, duration } where rows lists the
+   * { key, text } of the block rows, references lists the { id, status } of the references found
+   * in them (status is "converted", "deferred", "cycle" or "unresolved") and duration is the
+   * conversion time in ms, nested blocks included
+   */
+  get trace() {
+    return Array.from(this.#trace?.values() || []);
+  }
+
+  /**
+   * Record a diagnostic warning
+   */
+  #report(blockId, row, reason, message) {
+    this.#diagnostics.push({
+      blockId, row, reason, message,
+    });
+  }
+
+  /**
+   * Check an authored attribute name against the attribute policy, reporting rejected ones
+   */
+  #isAttributeAllowed(name, value, blockId, rowIndex) {
+    const { allow, deny } = this.#attributes;
+    if (!ATTRIBUTE_NAME.test(name)) {
+      this.#report(blockId, rowIndex, 'blocked-attribute', `"${name}" is not a valid attribute name`);
+      return false;
+    }
+    if (isEventHandlerAttribute(name) || matchesAttribute(deny, name)
+      || (allow && !matchesAttribute(allow, name))) {
+      this.#report(blockId, rowIndex, 'blocked-attribute', `Attribute "${name}" is not allowed`);
+      return false;
+    }
+    if (this.#sanitize && !isSafeAttributeValue(name, value, this.#sanitize)) {
+      this.#report(
+        blockId,
+        rowIndex,
+        'blocked-attribute',
+        `Attribute "${name}" has a URL scheme that is not allowed`,
+      );
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Sanitization policy of a slot: an override from policy.slots ("element-name/slot" or "slot"),
+   * otherwise custom elements are restricted to the allowedTags of the slot in the author schema
+   */
+  #slotPolicy(element, slotName) {
+    const policy = this.#sanitize;
+    const name = slotName || 'default';
+    const override = policy.slots?.[`${element.tagName.toLowerCase()}/${name}`] || policy.slots?.[name];
+    if (override) {
+      return { ...policy, ...override };
+    }
+    const allowedTags = this.#slotConfig(element, name)?.allowedTags;
+    return Array.isArray(allowedTags) ? { ...policy, customElements: allowedTags } : policy;
+  }
+
+  /**
+   * Slot config from the author schema of an element, null without a schema
+   */
+  #slotConfig(element, slotName) {
+    try {
+      return this.#getSchema(element)?.slots?.configs?.[slotName] || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Sanitize a copy of an authored cell with the policy of its slot, reporting what was removed
+   */
+  #sanitizeCell(element, cell, slotName, blockId, rowIndex) {
+    if (!this.#sanitize) {
+      return cell;
+    }
+    return sanitizeContent(cell.cloneNode(true), this.#slotPolicy(element, slotName), (message) => {
+      this.#report(blockId, rowIndex, 'sanitized', message);
+    });
+  }
+
+  /**
+   * Rebuild the images of a cell with createOptimizedPicture, using the breakpoints of the slot
+   * EDS pictures are rebuilt from their <img>, "./media_" paths are rebased to pictures.basePath,
+   * images from other origins are left as they are. The first images get loading="eager"
+   */
+  #optimizePictures(element, cell, slotName, authoredCell) {
+    if (!this.#pictures?.createOptimizedPicture || !cell.querySelector('img')) {
+      return cell;
+    }
+    const content = cell === authoredCell ? cell.cloneNode(true) : cell;
+    const {
+      createOptimizedPicture, breakpoints = {}, basePath, eager = 1,
+    } = this.#pictures;
+    const name = slotName || 'default';
+    const slotBreakpoints = breakpoints[`${element.tagName.toLowerCase()}/${name}`]
+      || breakpoints[name]
+      || this.#slotConfig(element, name)?.breakpoints
+      || breakpoints.default;
+    const { location } = this.#window;
+    const base = basePath ? new URL(basePath, location.href) : location.href;
+
+    content.querySelectorAll('img').forEach((img) => {
+      const src = img.getAttribute('src');
+      const url = src && new URL(src, src.startsWith('./media_') ? base : location.href);
+      if (!url || url.origin !== location.origin) return;
+      const picture = createOptimizedPicture(
+        url.href,
+        img.getAttribute('alt') || '',
+        this.#eagerPictures < eager,
+        slotBreakpoints,
+      );
+      this.#eagerPictures += 1;
+      (img.closest('picture') || img).replaceWith(picture);
+    });
+    return content;
+  }
+
+  /**
+   * Convert a referenced block or table
+   * Returns null for references that cannot be resolved. A reference back to a block that is
+   * still being converted (a block referencing itself, A → B → A) would recurse forever, so the
+   * cycle is broken with a hidden placeholder element instead
+   */
+  #convertReference(refId, blockId, row) {
+    const target = this.#blockMap.get(refId);
+    const references = this.#trace?.get(blockId)?.references;
+    if (!target) {
+      references?.push({ id: refId, status: 'unresolved' });
+      this.#report(blockId, row, 'unresolved-reference', `Reference "→ ${refId}" does not match any block`);
+      return null;
+    }
+    if (this.#converting.has(target)) {
+      references?.push({ id: refId, status: 'cycle' });
+      this.#report(blockId, row, 'reference-cycle', `Reference "→ ${refId}" points back to a block that contains it`);
+      const placeholder = this.#document.createElement('span');
+      placeholder.hidden = true;
+      placeholder.setAttribute('data-ee-cycle', refId);
+      return placeholder;
+    }
+    if (this.#converting.size - this.#depthOffset >= this.#deferDepth) {
+      // Too deep to convert now, keep the reference path for cycle detection at hydration time
+      const placeholder = this.#document.createElement('div');
+      placeholder.setAttribute('data-ee-deferred', refId);
+      this.#deferred.set(placeholder, { target, path: Array.from(this.#converting) });
+      references?.push({ id: refId, status: 'deferred' });
+      return placeholder;
+    }
+    references?.push({ id: refId, status: 'converted' });
+    return target.tagName === 'TABLE' ? this.convertTable(target) : this.convertBlock(target);
+  }
+
+  /**
+   * Deferred placeholders (data-ee-deferred) still waiting for hydrateDeferred
+   */
+  get pending() {
+    return Array.from(this.#deferred.keys());
+  }
+
+  /**
+   * Convert the block a deferred placeholder stands for and replace the placeholder with it
+   * The new element gets the slot of the placeholder and may contain deferred placeholders itself
+   * Returns the element, or null when the placeholder is unknown or the block cannot be converted
+   * When the conversion throws, the placeholder is removed and the error (with its blockId) is
+   * thrown again
+   */
+  hydrateDeferred(placeholder) {
+    const deferred = this.#deferred.get(placeholder);
+    if (!deferred) {
+      return null;
+    }
+    this.#deferred.delete(placeholder);
+
+    // Restore the reference path, so a block referencing one of its ancestors is still a cycle,
+    // and count deferDepth from the hydrated block
+    deferred.path.forEach((node) => this.#converting.add(node));
+    this.#depthOffset = deferred.path.length;
+    let element;
+    try {
+      element = deferred.target.tagName === 'TABLE'
+        ? this.convertTable(deferred.target)
+        : this.convertBlock(deferred.target);
+    } catch (error) {
+      placeholder.remove();
+      throw error;
+    } finally {
+      this.#converting.clear();
+      this.#depthOffset = 0;
+    }
+
+    if (!element) {
+      placeholder.remove();
+      return null;
+    }
+    const slot = placeholder.getAttribute('slot');
+    if (slot) {
+      element.setAttribute('slot', slot);
+    }
+    placeholder.replaceWith(element);
+    return element;
+  }
+
+  /**
+   * Blocks or tables that the deferred placeholders convert at hydration time, directly or
+   * through their own references
+   */
+  #deferredTargets() {
+    const deferred = new Set();
+    const pending = Array.from(this.#deferred.values(), ({ target }) => target);
+    while (pending.length > 0) {
+      const node = pending.pop();
+      if (!deferred.has(node)) {
+        deferred.add(node);
+        const referencedIds = new Set();
+        this.#collectReferences(node, referencedIds);
+        referencedIds.forEach((refId) => {
+          if (this.#blockMap.has(refId)) pending.push(this.#blockMap.get(refId));
+        });
+      }
+    }
+    return deferred;
+  }
+
+  /**
+   * Blocks not converted yet because they are deferred, read into the row model:
+   * [{ id, elementName, rows, getRowValue }]
+   * Lets a caller start what these blocks need (e.g. reference loads) before they are hydrated
+   */
+  get deferredBlocks() {
+    return Array.from(this.#deferredTargets(), (node) => {
+      const { elementName, rows } = this.#read(node);
+      return {
+        id: this.#blockIds.get(node),
+        elementName,
+        rows,
+        getRowValue: (key) => this.#getRowValue(rows, key),
+      };
+    });
+  }
+
+  /**
+   * Start a new conversion: clear diagnostics and converted-block tracking
+   */
+  #reset() {
+    this.#diagnostics = [];
+    this.#converted.clear();
+    this.#converting.clear();
+    this.#deferred.clear();
+    this.#eagerPictures = 0;
+    this.#trace?.clear();
+  }
+
+  /**
+   * Report blocks or tables of the ID map that are not part of any converted or deferred tree
+   */
+  #reportOrphans() {
+    // Blocks reachable from a deferred placeholder are converted later, they are not orphans
+    const deferred = this.#deferredTargets();
+    this.#blockMap.forEach((node, id) => {
+      if (!this.#converted.has(node) && !deferred.has(node)) {
+        this.#report(id, null, 'orphan-block', 'Block is not reachable from any root element');
+      }
+    });
+  }
+
+  /**
+   * Parse an HTML string into a document
+   * Fragments (e.g. .plain.html) are wrapped in <html><body> first, since minimal DOM
+   * implementations such as linkedom only build a <body> for complete documents
+   */
+  #parse(html) {
+    let source = /<body[\s>]/i.test(html) ? html : `<body>${html}</body>`;
+    source = /<html[\s>]/i.test(source) ? source : `<html>${source}</html>`;
+    return new this.#window.DOMParser().parseFromString(source, 'text/html');
+  }
 
   /**
    * Check if a class name represents a custom element block
    */
+  // eslint-disable-next-line class-methods-use-this
   isCustomElementClass(className) {
     // "experience-element" is the generic block name for all custom elements
-    if (className === "experience-element") {
+    if (className === 'experience-element') {
       return true;
     }
-    return className && className.includes("-") && !VANILLA_TAGS.has(className);
+    return className && className.includes('-') && !VANILLA_TAGS.has(className);
   }
 
   /**
-   * Extract element-name from a block div
+   * Read a key cell: bold text marks a slot, plain text an attribute (or other convention)
    */
-  getElementName(blockDiv) {
-    const rows = Array.from(blockDiv.children).filter((c) => c.tagName === "DIV");
-    for (const row of rows) {
-      const cells = Array.from(row.children).filter((c) => c.tagName === "DIV");
-      if (cells.length === 2 && cells[0].textContent.trim() === "element-name") {
-        return cells[1].textContent.trim();
-      }
+  // eslint-disable-next-line class-methods-use-this
+  #readKey(cell) {
+    const strongEl = cell.querySelector('strong');
+    return {
+      key: strongEl ? strongEl.textContent.trim() : cell.textContent.trim(),
+      isSlot: !!strongEl,
+    };
+  }
+
+  /**
+   * Find the value of a key in a row model (e.g. element-name, data-reference)
+   */
+  // eslint-disable-next-line class-methods-use-this
+  #getRowValue(rows, key) {
+    const row = rows.find((r) => r.key === key && r.content);
+    return row ? row.content.textContent.trim() : null;
+  }
+
+  /**
+   * Read the cells of a block row or table row into a row of the model
+   * Both readers use it, so a row reads the same (diagnostics included) in either format
+   */
+  #readRow(cells, index) {
+    const error = cells.length === 0 || cells.length > 2 ? `Row has ${cells.length} cells, expected 1 or 2` : null;
+    if (cells.length === 0) {
+      return {
+        index, key: null, isSlot: false, content: null, error,
+      };
     }
+    if (cells.length === 1) {
+      // Single cell - could be content or nested block
+      return {
+        index, key: null, isSlot: false, content: cells[0], error,
+      };
+    }
+    // Two cells: first is slot name, second is content (extra cells are ignored)
+    return {
+      index, ...this.#readKey(cells[0]), content: cells[1], error,
+    };
+  }
+
+  /**
+   * Read a published/DA block div into the row model
+   * Row format: <div><div>slot-name</div><div>content</div></div>
+   * Rows are indexed from the element-name row, like the rows of a table
+   */
+  readBlock(blockDiv) {
+    const rows = Array.from(blockDiv.children)
+      .filter((c) => c.tagName === 'DIV')
+      .map((rowDiv, index) => this.#readRow(
+        Array.from(rowDiv.children).filter((c) => c.tagName === 'DIV'),
+        index,
+      ));
+
     // Fallback to class name if no element-name row
-    const classes = (blockDiv.className || "").split(/\s+/).filter(Boolean);
-    const blockClass = classes.find((c) => c.includes("-") && !VANILLA_TAGS.has(c) && c !== "experience-element");
-    return blockClass || null;
+    const classes = (blockDiv.className || '').split(/\s+/).filter(Boolean);
+    const blockClass = classes.find((c) => c.includes('-') && !VANILLA_TAGS.has(c) && c !== 'experience-element');
+    const elementName = this.#getRowValue(rows, 'element-name') || blockClass || null;
+
+    // Additional classes are variants (excluding experience-element and the element name)
+    const customClass = classes.find((c) => this.isCustomElementClass(c));
+    const variants = classes.filter((c) => c !== customClass && c !== 'experience-element' && c !== elementName);
+
+    return { elementName, variants, rows };
+  }
+
+  /**
+   * Read an author format table into the row model
+   * The header row (experience-element) is skipped, so rows are indexed from the element-name
+   * row as in a block div, and single-cell rows (colspan=2) are unslotted content
+   */
+  readTable(table) {
+    const rows = Array.from(table.querySelectorAll('tr'))
+      .map((tr) => Array.from(tr.querySelectorAll('td')))
+      .filter((cells) => cells.length !== 1 || cells[0].textContent.trim() !== 'experience-element')
+      .map((cells, index) => this.#readRow(cells, index));
+
+    return { elementName: this.#getRowValue(rows, 'element-name'), variants: [], rows };
+  }
+
+  /**
+   * Read the format-version row of a block div or table
+   * Returns { version, error }, blocks written before the row existed are version 1
+   */
+  // eslint-disable-next-line class-methods-use-this
+  #readFormatVersion(node) {
+    const rows = node.tagName === 'TABLE' ? node.querySelectorAll('tr') : node.children;
+    const versionRow = Array.from(rows).find((row) => row.children.length === 2
+      && row.children[0].textContent.trim() === 'format-version');
+    if (!versionRow) {
+      return { version: 1, error: null };
+    }
+    const value = versionRow.children[1].textContent.trim();
+    const version = Number(value);
+    if (!Number.isInteger(version) || version < 1) {
+      return { version: 1, error: `Invalid format version "${value}", read as version 1` };
+    }
+    if (version > FORMAT_VERSION) {
+      return { version: FORMAT_VERSION, error: `Format version ${version} is newer than ${FORMAT_VERSION}, read as version ${FORMAT_VERSION}` };
+    }
+    return { version, error: null };
+  }
+
+  /**
+   * Read a block div or table into the row model
+   * Dispatches to the reader of the block's format version and migrates the model to FORMAT_VERSION
+   */
+  #read(node) {
+    const { version, error } = this.#readFormatVersion(node);
+    const readerVersion = Math.max(
+      ...Array.from(FORMAT_READERS.keys()).filter((v) => v <= version),
+    );
+    let model = FORMAT_READERS.get(readerVersion)(this, node);
+    for (let from = version; from < FORMAT_VERSION; from += 1) {
+      const migrate = FORMAT_MIGRATIONS.get(from);
+      if (migrate) {
+        model = migrate(model);
+      }
+    }
+    return { ...model, version, formatError: error };
+  }
+
+  /**
+   * Extract element-name from a block div
+   */
+  getElementName(blockDiv) {
+    return this.readBlock(blockDiv).elementName;
   }
 
   /**
    * Convert CSS class name back to tag name
    * e.g., "paywall-card" -> "paywall-card"
    */
+  // eslint-disable-next-line class-methods-use-this
   classToTagName(className) {
     return className.toLowerCase();
   }
 
   /**
-   * Build a map of block IDs to block elements
+   * Build the map of IDs to block divs or tables used for reference resolution
    */
-  buildBlockMap(blocks) {
+  #buildIdMap(nodes) {
     this.#blockMap.clear();
+    this.#blockIds.clear();
     const blockCounts = new Map();
 
-    for (const block of blocks) {
-      // Get the actual element name (from element-name row or class)
-      const elementName = this.getElementName(block);
-      if (elementName) {
-        const nameLower = elementName.toLowerCase();
-        // For ee-reference, use data-reference attribute for stable ID
-        if (nameLower === 'ee-reference') {
-          const dataRef = this.#getAttributeFromBlock(block, 'data-reference');
-          if (dataRef) {
-            const blockId = `ee-reference-${dataRef}`;
-            this.#blockMap.set(blockId, block);
-            continue;
-          }
+    nodes.forEach((node) => {
+      const { elementName, rows } = this.#read(node);
+      if (!elementName) {
+        this.#report(null, null, 'missing-element-name', 'Block has no element-name row and no element class');
+        return;
+      }
+      const nameLower = elementName.toLowerCase();
+      // Stable IDs come from the tag handler (e.g. ee-reference uses its data-reference hash),
+      // then from the authoring uid row, written by toEds the same way
+      const uid = this.#getRowValue(rows, UID_ATTRIBUTE);
+      const getRowValue = (key) => this.#getRowValue(rows, key);
+      const stableId = getTagHandlers().get(nameLower)?.toId?.({ elementName, rows, getRowValue })
+        || (uid ? uidBlockId(nameLower, uid) : null);
+      if (stableId) {
+        if (this.#blockMap.has(stableId)) {
+          this.#report(stableId, null, 'duplicate-reference', `Another ${nameLower} block has the ID "${stableId}"`);
         }
-        // Fallback to counter-based ID
-        const count = (blockCounts.get(nameLower) || 0) + 1;
-        blockCounts.set(nameLower, count);
-        const blockId = `${nameLower}-${count}`;
-        this.#blockMap.set(blockId, block);
+        this.#blockMap.set(stableId, node);
+        this.#blockIds.set(node, stableId);
+        return;
       }
-    }
+      // Fallback to counter-based ID
+      const count = (blockCounts.get(nameLower) || 0) + 1;
+      blockCounts.set(nameLower, count);
+      const blockId = `${nameLower}-${count}`;
+      this.#blockMap.set(blockId, node);
+      this.#blockIds.set(node, blockId);
+    });
   }
 
   /**
-   * Get an attribute value from a block div row
+   * Build a map of block IDs to block elements
    */
-  #getAttributeFromBlock(blockDiv, attrName) {
-    const rows = Array.from(blockDiv.children).filter((c) => c.tagName === "DIV");
-    for (const row of rows) {
-      const cells = Array.from(row.children).filter((c) => c.tagName === "DIV");
-      if (cells.length === 2 && cells[0].textContent.trim() === attrName) {
-        return cells[1].textContent.trim();
-      }
-    }
-    return null;
+  buildBlockMap(blocks) {
+    this.#buildIdMap(blocks);
   }
 
   /**
@@ -126,7 +785,7 @@ class EDSBlockDeserializer {
    * Row format: <div><div>slot-name</div><div>content</div></div>
    */
   parseBlockRow(rowDiv) {
-    const cells = Array.from(rowDiv.children).filter((c) => c.tagName === "DIV");
+    const cells = Array.from(rowDiv.children).filter((c) => c.tagName === 'DIV');
 
     if (cells.length === 0) {
       return null;
@@ -141,15 +800,10 @@ class EDSBlockDeserializer {
     }
 
     // Two cells: first is slot name, second is content
-    // Check if slot name is wrapped in <strong> (indicates slot, not attribute)
-    const strongEl = cells[0].querySelector("strong");
-    const isSlot = !!strongEl;
-    const slotName = strongEl ? strongEl.textContent.trim() : cells[0].textContent.trim();
-    const content = cells[1];
-
+    const { key: slotName, isSlot } = this.#readKey(cells[0]);
     return {
       slotName,
-      content,
+      content: cells[1],
       isSlot,
     };
   }
@@ -158,40 +812,48 @@ class EDSBlockDeserializer {
    * Check if content div contains a nested block
    */
   findNestedBlock(contentDiv) {
-    for (const child of contentDiv.children) {
-      if (child.tagName === "DIV" && child.className) {
-        const classes = child.className.split(/\s+/);
-        const blockClass = classes.find((c) => this.isCustomElementClass(c));
-        if (blockClass) {
-          return { element: child, blockClass };
-        }
-      }
-    }
-    return null;
+    const candidates = Array.from(contentDiv.children)
+      .filter((child) => child.tagName === 'DIV' && child.className)
+      .map((child) => ({
+        element: child,
+        blockClass: child.className.split(/\s+/).find((c) => this.isCustomElementClass(c)),
+      }));
+    return candidates.find(({ blockClass }) => blockClass) || null;
   }
 
   /**
    * Parse references from content text (e.g., "→ inline-price-1, → inline-price-2")
    */
+  // eslint-disable-next-line class-methods-use-this
   parseReferences(text) {
-    const refs = [];
     // Match references like "→ div-1", "→ ee-media-1", "→ ee-reference-abc123"
     const matches = text.matchAll(/→\s*([a-z][a-z0-9-]*-[a-z0-9]+)/gi);
-    for (const match of matches) {
-      refs.push(match[1].toLowerCase());
+    return Array.from(matches, (match) => match[1].toLowerCase());
+  }
+
+  /**
+   * Collect the IDs referenced anywhere under a block or table
+   * Text nodes are scanned one by one: the textContent of adjacent cells has no separator,
+   * so "→ ee-media-1" followed by a cell "abc" would otherwise read as "→ ee-media-1abc"
+   */
+  #collectReferences(node, referencedIds) {
+    if (node.nodeType === this.#window.Node.TEXT_NODE) {
+      this.parseReferences(node.textContent).forEach((refId) => referencedIds.add(refId));
+      return;
     }
-    return refs;
+    node.childNodes.forEach((child) => this.#collectReferences(child, referencedIds));
   }
 
   /**
    * Check if content div is just a simple <p> wrapper around plain text
    * DA author format wraps all text in <p> tags, but this shouldn't create slots
    */
+  // eslint-disable-next-line class-methods-use-this
   #isSimplePWrapper(contentDiv) {
     const children = Array.from(contentDiv.children);
     if (children.length !== 1) return false;
     const child = children[0];
-    if (child.tagName !== "P") return false;
+    if (child.tagName !== 'P') return false;
     // Check if <p> contains only text (no nested elements)
     return child.children.length === 0;
   }
@@ -199,22 +861,25 @@ class EDSBlockDeserializer {
   /**
    * Check if content is purely references (no other content)
    */
+  // eslint-disable-next-line class-methods-use-this
   isReferenceOnly(text) {
     // Remove all references and whitespace, check if anything remains
-    const withoutRefs = text.replace(/→\s*[a-z][a-z0-9-]*-[a-z0-9]+/gi, "").replace(/,/g, "").trim();
-    return withoutRefs === "";
+    const withoutRefs = text.replace(/→\s*[a-z][a-z0-9-]*-[a-z0-9]+/gi, '').replace(/,/g, '').trim();
+    return withoutRefs === '';
   }
 
   /**
    * Convert content div to appropriate slotted content
+   * context ({ blockId, row }) locates the content for diagnostics
    */
-  convertContent(contentDiv, slotName) {
+  convertContent(contentDiv, slotName, context = {}) {
+    const { blockId = null, row = null } = context;
     // Check for nested blocks first
     const nestedBlock = this.findNestedBlock(contentDiv);
     if (nestedBlock) {
       const converted = this.convertBlock(nestedBlock.element);
       if (slotName) {
-        converted.setAttribute("slot", slotName);
+        converted.setAttribute('slot', slotName);
       }
       return converted;
     }
@@ -227,17 +892,16 @@ class EDSBlockDeserializer {
     const refs = this.parseReferences(textContent);
     if (refs.length > 0 && this.isReferenceOnly(textContent)) {
       // Content is purely references - resolve them
-      const fragment = document.createDocumentFragment();
-      for (const refId of refs) {
-        const refBlock = this.#blockMap.get(refId);
-        if (refBlock) {
-          const converted = this.convertBlock(refBlock);
+      const fragment = this.#document.createDocumentFragment();
+      refs.forEach((refId) => {
+        const converted = this.#convertReference(refId, blockId, row);
+        if (converted) {
           if (slotName) {
-            converted.setAttribute("slot", slotName);
+            converted.setAttribute('slot', slotName);
           }
           fragment.appendChild(converted);
         }
-      }
+      });
       return fragment;
     }
 
@@ -246,11 +910,11 @@ class EDSBlockDeserializer {
 
     if (hasBlockElements) {
       // Clone children and add slot attribute
-      const fragment = document.createDocumentFragment();
+      const fragment = this.#document.createDocumentFragment();
       Array.from(contentDiv.childNodes).forEach((node) => {
         const cloned = node.cloneNode(true);
-        if (cloned.nodeType === Node.ELEMENT_NODE && slotName) {
-          cloned.setAttribute("slot", slotName);
+        if (cloned.nodeType === this.#window.Node.ELEMENT_NODE && slotName) {
+          cloned.setAttribute('slot', slotName);
         }
         fragment.appendChild(cloned);
       });
@@ -258,188 +922,303 @@ class EDSBlockDeserializer {
     }
 
     // Simple content - wrap in appropriate element
-    const wrapper = document.createElement("span");
+    const wrapper = this.#document.createElement('span');
     wrapper.innerHTML = innerHTML;
     if (slotName) {
-      wrapper.setAttribute("slot", slotName);
+      wrapper.setAttribute('slot', slotName);
     }
     return wrapper;
   }
 
   /**
-   * Convert an EDS block div to a custom element
+   * Convert one row of the row model onto the element
+   * Rules are applied in order, the first one that matches wins
    */
-  convertBlock(blockDiv) {
-    const classes = (blockDiv.className || "").split(/\s+/).filter(Boolean);
-    const blockClass = classes.find((c) => this.isCustomElementClass(c));
+  #convertRow(element, row, styleVars, blockId, handler) {
+    const {
+      index: rowIndex, key: rawSlotName, content: authoredContent, isSlot,
+    } = row;
 
-    if (!blockClass) {
-      // Not a block, return as-is
-      return blockDiv.cloneNode(true);
+    if (row.error) {
+      this.#report(blockId, rowIndex, 'invalid-row', row.error);
     }
+    if (!authoredContent) return;
 
-    // Get the actual element name (from element-name row or class)
-    const elementName = this.getElementName(blockDiv);
-    if (!elementName) {
-      return blockDiv.cloneNode(true);
+    // Skip element-name and format-version rows (already handled)
+    if (rawSlotName === 'element-name' || rawSlotName === 'format-version') {
+      return;
     }
 
-    // Create custom element using DOMParser to avoid custom element upgrade errors
-    const tagName = elementName.toLowerCase();
-    const parser = new DOMParser();
-    const tempDoc = parser.parseFromString(`<${tagName}></${tagName}>`, "text/html");
-    const element = tempDoc.body.firstElementChild;
+    // Parse slot name with optional tag bracket notation:
+    // "heading[h2]" → { name: "heading", tag: "h2" }
+    const { name: slotName, tag: slotTag } = rawSlotName
+      ? parseSlotNameWithTag(rawSlotName)
+      : { name: null, tag: 'div' };
+    // true if bracket notation was present
+    const hasTagNotation = rawSlotName && rawSlotName !== slotName;
+
+    const sanitizedContent = this.#sanitizeCell(
+      element,
+      authoredContent,
+      slotName,
+      blockId,
+      rowIndex,
+    );
+    const content = this.#optimizePictures(element, sanitizedContent, slotName, authoredContent);
+    const textContent = content.textContent.trim();
+    const innerHTML = content.innerHTML.trim();
+
+    // 0. Rows handled by the tag handler of the element
+    const handlerRow = {
+      index: rowIndex, key: rawSlotName, isSlot, content, text: textContent,
+    };
+    if (handler?.convertRow?.(element, handlerRow, this.#handlerContext(blockId))) {
+      return;
+    }
 
-    if (!element) {
-      // Fallback: create element directly if DOMParser fails
-      const fallbackElement = document.createElement(tagName);
-      return fallbackElement;
+    // 1. Style variables: "style-*" prefix → CSS custom property
+    if (slotName?.startsWith('style-')) {
+      const varName = slotName.substring(6);
+      // Parameter placeholders are checked once filled, see applyReferenceParams
+      const value = textContent.replace(PARAM_PLACEHOLDER_PATTERN, '');
+      if (!/^[\w-]+$/.test(varName) || !isSafeStyleValue(value)) {
+        this.#report(blockId, rowIndex, 'blocked-style', `Style "${slotName}" has a value that is not allowed`);
+        return;
+      }
+      styleVars[`--${varName}`] = textContent;
+      return;
     }
 
-    // Copy additional classes as attributes or variants (excluding experience-element and element name)
-    const otherClasses = classes.filter((c) => c !== blockClass && c !== "experience-element" && c !== elementName);
-    if (otherClasses.length > 0) {
-      // Could be variants - add as attributes
-      otherClasses.forEach((cls) => {
-        element.setAttribute(cls, "");
+    // 2. References: "→ block-id" → resolve and append as children
+    const refs = this.parseReferences(textContent);
+    if (refs.length > 0 && this.isReferenceOnly(textContent)) {
+      refs.forEach((refId) => {
+        const converted = this.#convertReference(refId, blockId, rowIndex);
+        if (converted) {
+          // Only set slot if slotName is provided and not "children" (unslotted)
+          if (slotName && slotName !== 'children') {
+            converted.setAttribute('slot', slotName);
+          }
+          element.appendChild(converted);
+        }
       });
+      // Always stop after processing references, even if some couldn't be resolved
+      return;
     }
 
-    // Process rows
-    const rows = Array.from(blockDiv.children).filter((c) => c.tagName === "DIV");
-    const styleVars = {};
-
-    for (const row of rows) {
-      const parsed = this.parseBlockRow(row);
-      if (!parsed) continue;
+    // 3. Content already has slot attribute → append children directly
+    const slottedChild = content.querySelector('[slot]');
+    if (slottedChild) {
+      Array.from(content.childNodes).forEach((node) => {
+        element.appendChild(node.cloneNode(true));
+      });
+      return;
+    }
 
-      const { slotName: rawSlotName, content, isSlot } = parsed;
+    // 4. Unslotted HTML content (single cell row with no slotName) → append without slot
+    if (slotName === null) {
+      // If content is a single <p>, unwrap it (DA and toEds wrap text in <p>)
+      const children = Array.from(content.children);
+      const nodes = children.length === 1 && children[0].tagName === 'P' ? children[0].childNodes : content.childNodes;
+      Array.from(nodes).forEach((node) => {
+        element.appendChild(node.cloneNode(true));
+      });
+      return;
+    }
 
-      // Skip element-name row (already handled)
-      if (rawSlotName === "element-name") {
-        continue;
+    // 5. Bold-marked slot name (isSlot=true) → create slot content
+    if (isSlot) {
+      // Check if content has a single element matching the slot tag - add slot directly to it
+      const children = Array.from(content.children);
+      if (children.length === 1) {
+        const childTag = children[0].tagName.toLowerCase();
+        // If tag matches slot tag notation, or is a block-level element, set slot directly
+        if ((hasTagNotation && childTag === slotTag) || SLOTTABLE_BLOCK_TAGS.test(childTag)) {
+          const cloned = children[0].cloneNode(true);
+          cloned.setAttribute('slot', slotName);
+          element.appendChild(cloned);
+          return;
+        }
       }
+      // Plain text or inline content - wrap in extracted tag (from bracket notation)
+      // or p as fallback
+      const wrapper = this.#document.createElement(hasTagNotation ? slotTag : 'p');
+      wrapper.innerHTML = innerHTML;
+      wrapper.setAttribute('slot', slotName);
+      element.appendChild(wrapper);
+      return;
+    }
 
-      // Parse slot name with optional tag bracket notation: "heading[h2]" → { name: "heading", tag: "h2" }
-      const { name: slotName, tag: slotTag } = rawSlotName ? parseSlotNameWithTag(rawSlotName) : { name: null, tag: 'div' };
-      const hasTagNotation = rawSlotName && rawSlotName !== slotName; // true if bracket notation was present
+    // 6. Typed attribute: "count:number", "modal:boolean", "config:json" → attribute in its
+    // typed form
+    // ("data:json:string" is the attribute "data:json", written as is)
+    const { name: typedName, type } = parseTypedKey(slotName);
+    if (type) {
+      const typedAttrName = unescapeAttributeName(typedName);
+      if (this.#isAttributeAllowed(typedAttrName, textContent, blockId, rowIndex)) {
+        this.#setTypedAttribute(element, typedAttrName, type, textContent, blockId, rowIndex);
+      }
+      return;
+    }
 
-      const textContent = content.textContent.trim();
-      const innerHTML = content.innerHTML.trim();
+    // 7. Check if content is just a simple <p> wrapper (DA author format wraps text in <p>)
+    // If so, treat as plain text for attribute, not as HTML content
+    const isSimplePWrapper = this.#isSimplePWrapper(content);
 
-      // 1. Style variables: "style-*" prefix → CSS custom property
-      if (slotName?.startsWith("style-")) {
-        const varName = slotName.substring(6);
-        styleVars[`--${varName}`] = textContent;
-        continue;
+    // 8. HTML content (has tags, but not just a simple <p> wrapper) → slot content
+    // (escaped text such as "a &amp; b" has no element children and stays an attribute)
+    if (content.children.length > 0 && !isSimplePWrapper) {
+      const converted = this.convertContent(content, slotName, { blockId, row: rowIndex });
+      if (converted) {
+        element.appendChild(converted);
       }
+      return;
+    }
 
-      // 2. References: "→ block-id" → resolve and append as children
-      const refs = this.parseReferences(textContent);
-      if (refs.length > 0 && this.isReferenceOnly(textContent)) {
-        for (const refId of refs) {
-          const refBlock = this.#blockMap.get(refId);
-          if (refBlock) {
-            const converted = this.convertBlock(refBlock);
-            // Only set slot if slotName is provided and not "children" (unslotted)
-            if (slotName && slotName !== "children") {
-              converted.setAttribute("slot", slotName);
-            }
-            element.appendChild(converted);
-          }
-        }
-        // Always continue after processing references, even if some couldn't be resolved
-        continue;
-      }
+    // 9. Plain text with tag notation → wrap in tag with slot attribute
+    if (hasTagNotation) {
+      const wrapper = this.#document.createElement(slotTag);
+      wrapper.textContent = textContent;
+      wrapper.setAttribute('slot', slotName);
+      element.appendChild(wrapper);
+      return;
+    }
 
-      // 3. Content already has slot attribute → append children directly
-      const slottedChild = content.querySelector("[slot]");
-      if (slottedChild) {
-        Array.from(content.childNodes).forEach((node) => {
-          element.appendChild(node.cloneNode(true));
-        });
-        continue;
-      }
+    // 10. Plain text → attribute
+    // Reserved names are escaped as "attr-<name>"
+    // (e.g. 'attr-type' to avoid collision with block type)
+    const attrName = unescapeAttributeName(slotName);
+    if (this.#isAttributeAllowed(attrName, textContent, blockId, rowIndex)) {
+      element.setAttribute(attrName, textContent);
+    }
+  }
 
-      // 4. Unslotted HTML content (single cell row with no slotName) → append without slot
-      if (slotName === null) {
-        // If content is a single <p>, unwrap it (DA wraps text in <p>)
-        const children = Array.from(content.children);
-        if (children.length === 1 && children[0].tagName === "P") {
-          Array.from(children[0].childNodes).forEach((node) => {
-            element.appendChild(node.cloneNode(true));
-          });
-        } else {
-          Array.from(content.childNodes).forEach((node) => {
-            element.appendChild(node.cloneNode(true));
-          });
-        }
-        continue;
-      }
+  /**
+   * Set an attribute from a typed row value (see parseTypedValue)
+   * Values that do not match their type are reported and skipped. A parameter placeholder is set
+   * as is and listed in data-ee-param-types, its type is checked once filled
+   */
+  #setTypedAttribute(element, name, type, value, blockId, rowIndex) {
+    if (type !== 'string' && hasParamPlaceholder(value)) {
+      const types = element.getAttribute(PARAM_TYPES_ATTRIBUTE);
+      element.setAttribute(PARAM_TYPES_ATTRIBUTE, types ? `${types} ${name}:${type}` : `${name}:${type}`);
+      element.setAttribute(name, value);
+      return;
+    }
+    const typed = parseTypedValue(type, value);
+    if (typed.error) {
+      this.#report(blockId, rowIndex, 'invalid-value', `"${name}" ${typed.error}`);
+      return;
+    }
+    if (typed.value !== null) {
+      element.setAttribute(name, typed.value);
+    }
+  }
 
-      // 5. Bold-marked slot name (isSlot=true) → create slot content
-      if (isSlot) {
-        // Check if content has a single element matching the slot tag - add slot directly to it
-        const children = Array.from(content.children);
-        if (children.length === 1) {
-          const childTag = children[0].tagName.toLowerCase();
-          // If tag matches slot tag notation, or is a block-level element, set slot directly
-          if ((hasTagNotation && childTag === slotTag) || /^(p|h[1-6]|div|ul|ol|table|blockquote|pre|figure)$/i.test(childTag)) {
-            const cloned = children[0].cloneNode(true);
-            cloned.setAttribute("slot", slotName);
-            element.appendChild(cloned);
-            continue;
-          }
-        }
-        // Plain text or inline content - wrap in extracted tag (from bracket notation) or p as fallback
-        const wrapper = document.createElement(hasTagNotation ? slotTag : "p");
-        wrapper.innerHTML = innerHTML;
-        wrapper.setAttribute("slot", slotName);
-        element.appendChild(wrapper);
-        continue;
-      }
+  /**
+   * Context passed to the tag handler hooks
+   */
+  #handlerContext(blockId) {
+    return { blockId, document: this.#document, deserializer: this };
+  }
 
-      // 6. Check if content is just a simple <p> wrapper (DA author format wraps text in <p>)
-      // If so, treat as plain text for attribute, not as HTML content
-      const isSimplePWrapper = this.#isSimplePWrapper(content);
+  /**
+   * Start the trace record of a block conversion
+   */
+  #startTrace(blockId, model) {
+    const record = {
+      blockId,
+      elementName: model.elementName,
+      rows: model.rows.map((row) => ({ key: row.key, text: row.content?.textContent.trim() || '' })),
+      references: [],
+      duration: null,
+    };
+    this.#trace.set(blockId, record);
+    return record;
+  }
 
-      // 7. HTML content (has tags, but not just a simple <p> wrapper) → slot content
-      if (innerHTML !== textContent && !isSimplePWrapper) {
-        const converted = this.convertContent(content, slotName);
-        if (converted instanceof DocumentFragment) {
-          element.appendChild(converted);
-        } else if (converted) {
-          element.appendChild(converted);
-        }
-        continue;
-      }
+  /**
+   * Convert a row model to a custom element
+   * source is the block div or table the model was read from
+   */
+  #convertModel(source, model) {
+    const blockId = this.#blockIds.get(source) || null;
+    this.#converted.add(source);
+
+    if (model.formatError) {
+      this.#report(blockId, null, 'unsupported-format-version', model.formatError);
+    }
+
+    // The name is checked before anything is created, so it can never bring markup of its own
+    const tagName = model.elementName.trim().toLowerCase();
+    if (!isRenderableTagName(tagName)) {
+      this.#report(blockId, null, 'unknown-tag', `"${model.elementName}" is not a valid element name`);
+      return null;
+    }
 
-      // 8. Plain text with tag notation → wrap in tag with slot attribute
-      if (hasTagNotation) {
-        const wrapper = document.createElement(slotTag);
-        wrapper.textContent = textContent;
-        wrapper.setAttribute("slot", slotName);
-        element.appendChild(wrapper);
-        continue;
+    // Created in a parsed document to avoid custom element upgrade errors
+    const element = this.#parse('').createElement(tagName);
+
+    // Variants are added as boolean attributes, under the same policy as attribute rows
+    model.variants.forEach((variant) => {
+      if (this.#isAttributeAllowed(variant, '', blockId, null)) {
+        element.setAttribute(variant, '');
       }
+    });
 
-      // 9. Plain text → attribute
-      if (slotName) {
-        // Convert 'attr-type' back to 'type' (was prefixed to avoid collision with block type)
-        const attrName = slotName === "attr-type" ? "type" : slotName;
-        element.setAttribute(attrName, textContent);
+    // Track the blocks on the current reference path for cycle detection
+    this.#converting.add(source);
+
+    const record = this.#trace && blockId ? this.#startTrace(blockId, model) : null;
+    const start = record ? currentTime() : 0;
+    const handler = getTagHandlers().get(tagName);
+    const styleVars = {};
+    let result = element;
+    try {
+      model.rows.forEach((row) => this.#convertRow(element, row, styleVars, blockId, handler));
+
+      // Apply collected style variables as style attribute
+      if (Object.keys(styleVars).length > 0) {
+        const styleStr = Object.entries(styleVars)
+          .map(([k, v]) => `${k}: ${v}`)
+          .join('; ');
+        element.setAttribute('style', styleStr);
       }
+
+      result = handler?.finalize?.(element, this.#handlerContext(blockId)) || element;
+    } catch (error) {
+      // Errors keep the ID of the innermost block that failed, for error reporting
+      if (error && typeof error === 'object' && !('blockId' in error)) error.blockId = blockId;
+      throw error;
+    } finally {
+      this.#converting.delete(source);
+      if (record) record.duration = currentTime() - start;
     }
 
-    // Apply collected style variables as style attribute
-    if (Object.keys(styleVars).length > 0) {
-      const styleStr = Object.entries(styleVars)
-        .map(([k, v]) => `${k}: ${v}`)
-        .join("; ");
-      element.setAttribute("style", styleStr);
+    if (record) result.setAttribute('data-ee-block-id', blockId);
+    return result;
+  }
+
+  /**
+   * Convert an EDS block div to a custom element
+   */
+  convertBlock(blockDiv) {
+    const classes = (blockDiv.className || '').split(/\s+/).filter(Boolean);
+    const blockClass = classes.find((c) => this.isCustomElementClass(c));
+
+    if (!blockClass) {
+      // Not a block, return as-is
+      return blockDiv.cloneNode(true);
     }
 
-    return element;
+    // Get the actual element name (from element-name row or class)
+    const model = this.#read(blockDiv);
+    if (!model.elementName) {
+      return blockDiv.cloneNode(true);
+    }
+
+    // Keep the authored block when the element name cannot be parsed
+    return this.#convertModel(blockDiv, model) || blockDiv.cloneNode(true);
   }
 
   /**
@@ -448,9 +1227,9 @@ class EDSBlockDeserializer {
   findBlocks(root) {
     const blocks = [];
     const walk = (node) => {
-      if (node.nodeType !== Node.ELEMENT_NODE) return;
+      if (node.nodeType !== this.#window.Node.ELEMENT_NODE) return;
 
-      if (node.tagName === "DIV" && node.className) {
+      if (node.tagName === 'DIV' && node.className) {
         const classes = node.className.split(/\s+/);
         if (classes.some((c) => this.isCustomElementClass(c))) {
           blocks.push(node);
@@ -458,9 +1237,7 @@ class EDSBlockDeserializer {
         }
       }
 
-      for (const child of node.children) {
-        walk(child);
-      }
+      Array.from(node.children).forEach(walk);
     };
 
     walk(root);
@@ -468,358 +1245,130 @@ class EDSBlockDeserializer {
   }
 
   /**
-   * Find the root block (the one not referenced by any other block)
+   * Find the root blocks or tables (the ones not referenced by any other), in document order
+   * With single, each root is reported when there is more than one
    */
-  findRootBlock(blocks) {
-    if (blocks.length === 0) return null;
-    if (blocks.length === 1) return blocks[0];
+  #findRoots(nodes, { single = false } = {}) {
+    if (nodes.length <= 1) return nodes.slice();
 
-    // Collect all referenced block IDs (e.g., "ee-media-1", "ee-reference-abc123")
+    // Collect all referenced IDs (e.g., "ee-media-1", "ee-reference-abc123")
     const referencedIds = new Set();
-    for (const block of blocks) {
-      const text = block.textContent;
-      // Match references like "→ div-1", "→ ee-media-1", "→ ee-reference-abc123"
-      const matches = text.matchAll(/→\s*([a-z][a-z0-9-]*-[a-z0-9]+)/gi);
-      for (const match of matches) {
-        referencedIds.add(match[1].toLowerCase());
-      }
-    }
+    nodes.forEach((node) => this.#collectReferences(node, referencedIds));
 
-    // For each block, determine its ID by looking at element-name and position
-    // Blocks are numbered in order of appearance
-    const blockCounts = new Map();
-    const blockIds = new Map();
-
-    for (const block of blocks) {
-      const elementName = this.getElementName(block);
-      if (elementName) {
-        const nameLower = elementName.toLowerCase();
-        const count = (blockCounts.get(nameLower) || 0) + 1;
-        blockCounts.set(nameLower, count);
-        const blockId = `${nameLower}-${count}`;
-        blockIds.set(block, blockId);
-      }
+    // Use the same IDs as reference resolution (counter-based, or data-reference for ee-reference)
+    if (!nodes.some((node) => this.#blockIds.has(node))) {
+      this.#buildIdMap(nodes);
     }
 
-    // Find blocks that are not referenced
-    const unreferencedBlocks = [];
-    for (const block of blocks) {
-      const blockId = blockIds.get(block);
-      if (blockId && !referencedIds.has(blockId)) {
-        unreferencedBlocks.push(block);
-      }
-    }
+    // Find nodes that are not referenced
+    const unreferenced = nodes.filter((node) => {
+      const blockId = this.#blockIds.get(node);
+      return blockId && !referencedIds.has(blockId);
+    });
 
-    // If only one unreferenced block, return it
-    if (unreferencedBlocks.length === 1) {
-      return unreferencedBlocks[0];
+    if (single && unreferenced.length > 1) {
+      unreferenced.forEach((node) => {
+        this.#report(this.#blockIds.get(node), null, 'multiple-roots', `Block is one of ${unreferenced.length} root candidates`);
+      });
     }
 
-    // If multiple unreferenced blocks, return the last one (root is typically last in EDS output)
-    if (unreferencedBlocks.length > 1) {
-      return unreferencedBlocks[unreferencedBlocks.length - 1];
+    if (unreferenced.length > 0) {
+      return unreferenced;
     }
 
     // Fallback to last block
-    return blocks[blocks.length - 1];
+    return [nodes[nodes.length - 1]];
   }
 
   /**
-   * Find all experience-element tables in the document (author format)
+   * Find the root blocks (the ones not referenced by any other block), in document order
    */
-  findTables(root) {
-    const tables = [];
-    for (const table of root.querySelectorAll("table")) {
-      const firstCell = table.querySelector("tr td");
-      if (firstCell?.textContent.trim() === "experience-element") {
-        tables.push(table);
-      }
-    }
-    return tables;
+  findRootBlocks(blocks) {
+    return this.#findRoots(blocks);
   }
 
+  /**
+   * Find the root block (the one not referenced by any other block)
+   * If several blocks are unreferenced, the last one wins (root is typically last in EDS output)
+   */
+  findRootBlock(blocks) {
+    const roots = this.#findRoots(blocks, { single: true });
+    return roots.length > 0 ? roots[roots.length - 1] : null;
+  }
 
   /**
-   * Build a map of table IDs from author format tables
+   * Find all experience-element tables in the document (author format)
    */
-  buildTableMap(tables) {
-    this.#tableMap.clear();
-    const tableCounts = new Map();
-
-    for (const table of tables) {
-      const elementName = this.getElementNameFromTable(table);
-      if (elementName) {
-        const nameLower = elementName.toLowerCase();
-        // For ee-reference, use data-reference attribute for stable ID
-        if (nameLower === 'ee-reference') {
-          const dataRef = this.#getAttributeFromTable(table, 'data-reference');
-          if (dataRef) {
-            const tableId = `ee-reference-${dataRef}`;
-            this.#tableMap.set(tableId, table);
-            continue;
-          }
-        }
-        // Fallback to counter-based ID
-        const count = (tableCounts.get(nameLower) || 0) + 1;
-        tableCounts.set(nameLower, count);
-        const tableId = `${nameLower}-${count}`;
-        this.#tableMap.set(tableId, table);
-      }
-    }
+  // eslint-disable-next-line class-methods-use-this
+  findTables(root) {
+    return Array.from(root.querySelectorAll('table')).filter((table) => {
+      const firstCell = table.querySelector('tr td');
+      return firstCell?.textContent.trim() === 'experience-element';
+    });
   }
 
   /**
-   * Get an attribute value from a table row
+   * Build a map of table IDs from author format tables
    */
-  #getAttributeFromTable(table, attrName) {
-    const rows = table.querySelectorAll("tr");
-    for (const row of rows) {
-      const cells = row.querySelectorAll("td");
-      if (cells.length === 2 && cells[0].textContent.trim() === attrName) {
-        return cells[1].textContent.trim();
-      }
-    }
-    return null;
+  buildTableMap(tables) {
+    this.#buildIdMap(tables);
   }
 
   /**
    * Extract element-name from a table
    */
   getElementNameFromTable(table) {
-    const rows = table.querySelectorAll("tr");
-    for (const row of rows) {
-      const cells = row.querySelectorAll("td");
-      if (cells.length === 2 && cells[0].textContent.trim() === "element-name") {
-        return cells[1].textContent.trim();
-      }
-    }
-    return null;
+    return this.readTable(table).elementName;
   }
 
   /**
    * Convert an author format table to a custom element
    */
   convertTable(table) {
-    const elementName = this.getElementNameFromTable(table);
-    if (!elementName) {
+    const model = this.#read(table);
+    if (!model.elementName) {
       return null;
     }
+    return this.#convertModel(table, model);
+  }
 
-    // Create custom element using DOMParser to avoid custom element upgrade errors
-    const tagName = elementName.toLowerCase();
-    const parser = new DOMParser();
-    const tempDoc = parser.parseFromString(`<${tagName}></${tagName}>`, "text/html");
-    const element = tempDoc.body.firstElementChild;
-
-    if (!element) {
-      return document.createElement(tagName);
-    }
-
-    const rows = table.querySelectorAll("tr");
-    const styleVars = {};
-
-    for (const row of rows) {
-      const cells = row.querySelectorAll("td");
-      
-      // Skip header row (experience-element)
-      if (cells.length === 1 && cells[0].getAttribute("colspan") === "2") {
-        const text = cells[0].textContent.trim();
-        if (text === "experience-element") {
-          continue;
-        }
-        // Unslotted HTML content (colspan=2 but not header)
-        // If content is a single <p>, unwrap it (toEds wraps content to protect <strong> tags)
-        const children = Array.from(cells[0].children);
-        if (children.length === 1 && children[0].tagName === "P") {
-          // Single <p> wrapper - unwrap by appending its children
-          Array.from(children[0].childNodes).forEach((node) => {
-            element.appendChild(node.cloneNode(true));
-          });
-        } else {
-          // Multiple children or not a <p> - append as-is
-          Array.from(cells[0].childNodes).forEach((node) => {
-            element.appendChild(node.cloneNode(true));
-          });
-        }
-        continue;
-      }
-
-      if (cells.length !== 2) continue;
-
-      const rawKey = cells[0].textContent.trim();
-      const valueCell = cells[1];
-      const textContent = valueCell.textContent.trim();
-      const innerHTML = valueCell.innerHTML.trim();
-
-      // Skip element-name row (already handled)
-      if (rawKey === "element-name") {
-        continue;
-      }
-
-      // Parse slot name with optional tag bracket notation: "heading[h2]" → { name: "heading", tag: "h2" }
-      const { name: key, tag: slotTag } = parseSlotNameWithTag(rawKey);
-      const hasTagNotation = rawKey !== key; // true if bracket notation was present
-
-      // 1. Style variables: "style-*" prefix → CSS custom property
-      if (key.startsWith("style-")) {
-        const varName = key.substring(6);
-        styleVars[`--${varName}`] = textContent;
-        continue;
-      }
-
-      // 2. References: "→ table-id" → resolve and append as children
-      const refs = this.parseReferences(textContent);
-      if (refs.length > 0 && this.isReferenceOnly(textContent)) {
-        for (const refId of refs) {
-          const refTable = this.#tableMap.get(refId);
-          if (refTable) {
-            const converted = this.convertTable(refTable);
-            if (converted) {
-              // Only set slot if key is provided and not "children" (unslotted)
-              if (key && key !== "children") {
-                converted.setAttribute("slot", key);
-              }
-              element.appendChild(converted);
-            }
-          }
-        }
-        continue;
-      }
-
-      // 3. HTML content (has tags) → slot content
-      if (innerHTML !== textContent) {
-        // Check if content already has slot attribute - append directly without wrapping
-        const slottedChild = valueCell.querySelector("[slot]");
-        if (slottedChild) {
-          Array.from(valueCell.childNodes).forEach((node) => {
-            element.appendChild(node.cloneNode(true));
-          });
-          continue;
-        }
-        // Check if content has a single element matching the slot tag - add slot directly to it
-        const children = Array.from(valueCell.children);
-        if (children.length === 1) {
-          const childTag = children[0].tagName.toLowerCase();
-          // If tag matches slot tag notation, or is a block-level element, set slot directly
-          if ((hasTagNotation && childTag === slotTag) || /^(p|h[1-6]|div|ul|ol|table|blockquote|pre|figure)$/i.test(childTag)) {
-            const cloned = children[0].cloneNode(true);
-            if (key) {
-              cloned.setAttribute("slot", key);
-            }
-            element.appendChild(cloned);
-            continue;
-          }
-        }
-        // Otherwise wrap in extracted tag (from bracket notation) or span as fallback
-        const wrapper = document.createElement(hasTagNotation ? slotTag : "span");
-        wrapper.innerHTML = innerHTML;
-        if (key) {
-          wrapper.setAttribute("slot", key);
-        }
-        element.appendChild(wrapper);
-        continue;
-      }
-
-      // 4. Plain text with tag notation → wrap in tag with slot attribute
-      if (hasTagNotation) {
-        const wrapper = document.createElement(slotTag);
-        wrapper.textContent = textContent;
-        wrapper.setAttribute("slot", key);
-        element.appendChild(wrapper);
-        continue;
-      }
-
-      // 5. Plain text → attribute
-      if (key) {
-        // Convert 'attr-type' back to 'type' (was prefixed to avoid collision with block type)
-        const attrName = key === "attr-type" ? "type" : key;
-        element.setAttribute(attrName, textContent);
-      }
-    }
-
-    // Apply collected style variables as style attribute
-    if (Object.keys(styleVars).length > 0) {
-      const styleStr = Object.entries(styleVars)
-        .map(([k, v]) => `${k}: ${v}`)
-        .join("; ");
-      element.setAttribute("style", styleStr);
-    }
-
-    return element;
+  /**
+   * Find the root tables (the ones not referenced by any other table), in document order
+   */
+  findRootTables(tables) {
+    return this.#findRoots(tables);
   }
 
   /**
    * Find the root table (the one not referenced by any other table)
    */
   findRootTable(tables) {
-    if (tables.length === 0) return null;
-    if (tables.length === 1) return tables[0];
-
-    // Collect all referenced table IDs
-    const referencedIds = new Set();
-    for (const table of tables) {
-      const text = table.textContent;
-      const matches = text.matchAll(/→\s*([a-z][a-z0-9-]*-[a-z0-9]+)/gi);
-      for (const match of matches) {
-        referencedIds.add(match[1].toLowerCase());
-      }
-    }
-
-    // Build table ID map
-    const tableCounts = new Map();
-    const tableIds = new Map();
-
-    for (const table of tables) {
-      const elementName = this.getElementNameFromTable(table);
-      if (elementName) {
-        const nameLower = elementName.toLowerCase();
-        const count = (tableCounts.get(nameLower) || 0) + 1;
-        tableCounts.set(nameLower, count);
-        const tableId = `${nameLower}-${count}`;
-        tableIds.set(table, tableId);
-      }
-    }
-
-    // Find tables that are not referenced
-    const unreferencedTables = [];
-    for (const table of tables) {
-      const tableId = tableIds.get(table);
-      if (tableId && !referencedIds.has(tableId)) {
-        unreferencedTables.push(table);
-      }
-    }
-
-    if (unreferencedTables.length === 1) {
-      return unreferencedTables[0];
-    }
-
-    if (unreferencedTables.length > 1) {
-      return unreferencedTables[unreferencedTables.length - 1];
-    }
-
-    return tables[tables.length - 1];
+    const roots = this.#findRoots(tables, { single: true });
+    return roots.length > 0 ? roots[roots.length - 1] : null;
   }
 
-
   /**
    * Convert EDS HTML to custom element markup
    * Supports both author format (tables) and published format (div blocks)
+   * Every root tree is converted; the markup of each is concatenated in document order
    */
   fromEDS(html) {
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(html, "text/html");
+    this.#reset();
+    const doc = this.#parse(html);
 
     // Look for content inside <main>, fall back to <body>
-    const main = doc.body.querySelector("main");
+    const main = doc.body.querySelector('main');
     const root = main || doc.body;
 
     // Try author format (tables) first
     const tables = this.findTables(root);
     if (tables.length > 0) {
       this.buildTableMap(tables);
-      const rootTable = this.findRootTable(tables);
-      const converted = this.convertTable(rootTable);
-      return converted ? converted.outerHTML : html;
+      const converted = this.findRootTables(tables)
+        .map((rootTable) => this.convertTable(rootTable))
+        .filter(Boolean);
+      this.#reportOrphans();
+      return converted.length > 0 ? converted.map((el) => el.outerHTML).join('') : html;
     }
 
     // Fall back to published format (div blocks)
@@ -832,11 +1381,12 @@ class EDSBlockDeserializer {
     // Build map of block IDs for reference resolution
     this.buildBlockMap(blocks);
 
-    // Find the root block (not referenced by any other block)
-    const rootBlock = this.findRootBlock(blocks);
-    const converted = this.convertBlock(rootBlock);
-
-    return converted.outerHTML;
+    // Convert every root block (not referenced by any other block), in document order
+    const markup = this.findRootBlocks(blocks)
+      .map((rootBlock) => this.convertBlock(rootBlock).outerHTML)
+      .join('');
+    this.#reportOrphans();
+    return markup;
   }
 
   /**
@@ -845,11 +1395,11 @@ class EDSBlockDeserializer {
    * Expects input wrapped in <body><header></header><main>content</main></body>
    */
   toElement(html) {
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(html, "text/html");
+    this.#reset();
+    const doc = this.#parse(html);
 
     // Look for content inside <main>, fall back to <body>
-    const main = doc.body.querySelector("main");
+    const main = doc.body.querySelector('main');
     const root = main || doc.body;
 
     // Try author format (tables) first
@@ -871,20 +1421,168 @@ class EDSBlockDeserializer {
 
     return this.convertBlock(blocks[0]);
   }
+
+  /**
+   * Upgrade experience-element blocks in place inside a live container (e.g. <main>)
+   * Root blocks are replaced by their custom element, referenced blocks are removed,
+   * everything else (default content, other blocks, section metadata) is left untouched
+   * Returns the inserted custom elements, in document order
+   */
+  upgradeBlocks(root) {
+    this.#reset();
+    // Only the generic block is upgraded here, other EDS blocks are decorated by aem.js
+    const blocks = Array.from(root.querySelectorAll('div.experience-element'))
+      .filter((block) => !block.parentElement.closest('.experience-element'));
+
+    if (blocks.length === 0) {
+      return [];
+    }
+
+    this.buildBlockMap(blocks);
+
+    // Convert every root before touching the DOM so references still resolve
+    const rootBlocks = this.findRootBlocks(blocks);
+    const converted = rootBlocks.map((rootBlock) => this.convertBlock(rootBlock));
+    this.#reportOrphans();
+
+    rootBlocks.forEach((rootBlock, index) => rootBlock.replaceWith(converted[index]));
+    blocks
+      .filter((block) => !rootBlocks.includes(block))
+      .forEach((block) => block.remove());
+
+    return converted;
+  }
 }
 
+// ee-reference blocks are referenced by their data-reference hash, which stays stable across edits
+EDSBlockDeserializer.registerTagHandler('ee-reference', {
+  toId: ({ getRowValue }) => {
+    const dataRef = getRowValue('data-reference');
+    return dataRef ? `ee-reference-${dataRef}` : null;
+  },
+});
+
 /**
  * Convert EDS output to custom element markup
  * Supports both author format (tables) and published format (div blocks)
+ * Returns the markup of all root elements, in document order
+ *
+ * Outside the browser, pass the DOM implementation to use:
+ *   const { window } = parseHTML("<html></html>"); // linkedom, or new JSDOM().window
+ *   fromEds(html, { window });
+ *
+ * With options.diagnostics, returns { html, diagnostics } (or { element, diagnostics } with
+ * options.asElement) where diagnostics lists the warnings described on
+ * EDSBlockDeserializer#diagnostics
+ * options.attributes, options.sanitize, options.getSchema and options.pictures are passed to the
+ * EDSBlockDeserializer constructor
+ * An error thrown while converting a block has the ID of that block as error.blockId
  */
 function fromEds(input, options = {}) {
-  const deserializer = new EDSBlockDeserializer();
+  const deserializer = new EDSBlockDeserializer({
+    window: options.window,
+    attributes: options.attributes,
+    sanitize: options.sanitize,
+    getSchema: options.getSchema,
+    pictures: options.pictures,
+  });
 
   if (options.asElement) {
-    return deserializer.toElement(input);
+    const element = deserializer.toElement(input);
+    return options.diagnostics ? { element, diagnostics: deserializer.diagnostics } : element;
   }
 
-  return deserializer.fromEDS(input);
+  const html = deserializer.fromEDS(input);
+  return options.diagnostics ? { html, diagnostics: deserializer.diagnostics } : html;
+}
+
+/**
+ * Hydrate the deferred placeholders under root as they come near the viewport
+ * Placeholders that never intersect (e.g. in a slot the element does not render) are hydrated
+ * once the browser is idle, or right away without IntersectionObserver
+ * options.onHydrate is called with each element that replaced a placeholder, and
+ * options.onError(error) for each placeholder whose block failed to convert (the placeholder is
+ * dropped, error.blockId has the failing block), the other placeholders are still hydrated
+ */
+function observeDeferredBlocks(root, deserializer, {
+  rootMargin = '200px',
+  idleTimeout = 3000,
+  onHydrate,
+  // eslint-disable-next-line no-console
+  onError = (error) => console.error('Deferred block hydration failed', error?.blockId, error),
+} = {}) {
+  const domWindow = root.ownerDocument.defaultView;
+  let observer = null;
+
+  function observe(scope) {
+    const placeholders = Array.from(scope.querySelectorAll('[data-ee-deferred]'));
+    placeholders.forEach((placeholder) => (
+      // eslint-disable-next-line no-use-before-define
+      observer ? observer.observe(placeholder) : hydrate(placeholder)
+    ));
+  }
+  function hydrate(placeholder) {
+    observer?.unobserve(placeholder);
+    let element;
+    try {
+      element = deserializer.hydrateDeferred(placeholder);
+    } catch (error) {
+      onError(error);
+      return;
+    }
+    if (element) {
+      onHydrate?.(element);
+      observe(element);
+    }
+  }
+
+  if (domWindow.IntersectionObserver) {
+    observer = new domWindow.IntersectionObserver((entries) => {
+      entries.filter((entry) => entry.isIntersecting).forEach((entry) => hydrate(entry.target));
+    }, { rootMargin });
+  }
+  observe(root);
+
+  const hydrateRest = () => {
+    let placeholders = deserializer.pending;
+    while (placeholders.length > 0) {
+      placeholders.forEach(hydrate);
+      placeholders = deserializer.pending;
+    }
+    observer?.disconnect();
+  };
+  if (domWindow.requestIdleCallback) {
+    domWindow.requestIdleCallback(hydrateRest, { timeout: idleTimeout });
+  } else {
+    domWindow.setTimeout(hydrateRest, idleTimeout);
+  }
+}
+
+/**
+ * Upgrade experience-element blocks in place, keeping the surrounding EDS sections
+ * Returns the inserted custom elements, or { elements, diagnostics } with options.diagnostics
+ * Accepts the window, attributes, sanitize, getSchema and pictures options of fromEds
+ *
+ * With options.lazy ({ depth, rootMargin }), only depth block levels (default 2) are converted
+ * right away, deeper references are hydrated as they come near the viewport (observeDeferredBlocks)
+ */
+function upgradeEdsBlocks(root, options = {}) {
+  const lazy = options.lazy === true ? {} : options.lazy;
+  const deserializer = new EDSBlockDeserializer({
+    window: options.window,
+    attributes: options.attributes,
+    sanitize: options.sanitize,
+    getSchema: options.getSchema,
+    pictures: options.pictures,
+    deferDepth: lazy ? lazy.depth || 2 : Infinity,
+  });
+  const elements = deserializer.upgradeBlocks(root);
+  if (lazy) {
+    observeDeferredBlocks(root, deserializer, lazy);
+  }
+  return options.diagnostics ? { elements, diagnostics: deserializer.diagnostics } : elements;
 }
 
-export { fromEds, EDSBlockDeserializer };
+export {
+  fromEds, upgradeEdsBlocks, observeDeferredBlocks, EDSBlockDeserializer,
+};
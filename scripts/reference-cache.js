@@ -0,0 +1,360 @@
+/**
+ * reference-cache.js - Shared cache of the content loaded by ee-reference on the live site
+ *
+ * In preview/publish mode, ee-reference loads <path>.plain.html and converts it with fromEds.
+ * With the cache, a URN referenced many times on a page (e.g. a legal footer in every card)
+ * is downloaded and converted once:
+ * - concurrent loads of the same URN share one request
+ * - the converted markup is parsed once into a <template>, each use gets a clone of its content
+ * - images become optimized pictures, with "./media_" paths rebased to the referenced document
+ *   (as loadFragment does), when configureReferenceCache is given the site picture options
+ * - with persist, the EDS markup is also kept in sessionStorage with its ETag, and revalidated
+ *   with If-None-Match on the next page (a 304 reuses the stored markup)
+ *
+ * prefetchReferences starts the loads of the references found in hydrated content, before
+ * ee-reference is even defined, and the references nested in loaded content are prefetched as
+ * soon as it is converted: nested references no longer wait for their parent to render.
+ * prefetchReferenceBlocks does the same for the deferred blocks of progressive hydration, read
+ * from their EDS rows since they are not converted yet
+ *
+ * The cache lives on a global, so the site scripts and the bundle share it
+ *
+ * Parameters turn a reference into a template: the content keeps {{name}} placeholders, and each
+ * ee-reference fills them with its own values, from a params attribute (a JSON object) and from
+ * data-param-* attributes, e.g. one paywall card reused with data-param-plan-name="Pro".
+ * The cached content stays unfilled, parameters are applied to each copy.
+ * Filled values get the checks of authored values: URL schemes, style-* values, and the type of
+ * typed attributes (e.g. a count:number row set to {{count}})
+ */
+
+import { fromEds } from './from-eds.js';
+import { isSafeAttributeValue, isSafeStyleValue } from './eds-sanitize.js';
+import {
+  TYPED_KEY_PATTERN,
+  PARAM_PLACEHOLDER_PATTERN,
+  PARAM_TYPES_ATTRIBUTE,
+  parseTypedValue,
+  hasParamPlaceholder,
+} from './vanilla-tags.js';
+
+const STORAGE_PREFIX = 'ee-reference:';
+
+const PARAM_ATTRIBUTE_PREFIX = 'data-param-';
+
+/**
+ * Shared cache state: { entries: Map<urn, Promise<HTMLTemplateElement|null>>, persist, pictures }
+ */
+function getReferenceCache() {
+  const key = Symbol.for('ee-reference-cache');
+  if (!window[key]) {
+    window[key] = { entries: new Map(), persist: false, pictures: null };
+  }
+  return window[key];
+}
+
+/**
+ * Configure the cache
+ * @param {Object} options
+ * @param {boolean} [options.persist] Keep the EDS markup in sessionStorage,
+ *   revalidated with its ETag
+ * @param {Object} [options.pictures] Picture options of fromEds ({ createOptimizedPicture, ... }),
+ *   the images of referenced content are rebuilt with them, and their "./media_" paths are rebased
+ *   to the referenced document. Referenced images are lazy unless pictures.eager says otherwise
+ */
+function configureReferenceCache({ persist = false, pictures = null } = {}) {
+  const cache = getReferenceCache();
+  cache.persist = persist;
+  cache.pictures = pictures;
+}
+
+/**
+ * Site path of a reference URN ("/org/repo/path" → "/path")
+ */
+function referencePath(urn) {
+  const segments = urn.replace(/^\/+/, '').replace(/\.html$/, '').split('/');
+  return `/${segments.slice(2).join('/')}`;
+}
+
+/**
+ * URL of the .plain.html content of a reference URN ("/org/repo/path" → "<origin>/path.plain.html")
+ */
+function referenceUrl(urn) {
+  return `${window.location.origin}${referencePath(urn)}.plain.html`;
+}
+
+/**
+ * Read a stored { etag, eds } entry, null when missing or storage is not available
+ */
+function readStored(url) {
+  try {
+    return JSON.parse(sessionStorage.getItem(`${STORAGE_PREFIX}${url}`));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Store an { etag, eds } entry, storage errors (quota, private mode) are ignored
+ */
+function writeStored(url, entry) {
+  try {
+    sessionStorage.setItem(`${STORAGE_PREFIX}${url}`, JSON.stringify(entry));
+  } catch (e) {
+    // do nothing
+  }
+}
+
+/**
+ * Fetch the EDS markup of a URL, revalidating the stored copy when persist is on
+ * Returns null when the response is not ok
+ */
+async function fetchEds(url, persist) {
+  const stored = persist ? readStored(url) : null;
+  const headers = stored?.etag ? { 'If-None-Match': stored.etag } : {};
+  const response = await fetch(url, { headers });
+  if (response.status === 304 && stored) {
+    return stored.eds;
+  }
+  if (!response.ok) {
+    return null;
+  }
+  const eds = await response.text();
+  const etag = response.headers.get('ETag');
+  if (persist && etag) {
+    writeStored(url, { etag, eds });
+  }
+  return eds;
+}
+
+/**
+ * Fetch and convert a reference into a template, null when there is no content
+ */
+async function loadTemplate(urn, { persist, pictures }) {
+  const eds = await fetchEds(referenceUrl(urn), persist);
+  if (eds == null) return null;
+  const template = document.createElement('template');
+  template.innerHTML = fromEds(eds, {
+    pictures: pictures && { eager: 0, ...pictures, basePath: referencePath(urn) },
+  });
+  if (!template.content.children.length) return null;
+  // eslint-disable-next-line no-use-before-define
+  prefetchReferences(template.content);
+  return template;
+}
+
+/**
+ * Cached template of a URN, loaded on first use
+ */
+function getTemplate(urn) {
+  const cache = getReferenceCache();
+  if (!cache.entries.has(urn)) {
+    const pending = loadTemplate(urn, cache);
+    cache.entries.set(urn, pending);
+    pending.then((template) => {
+      if (!template) cache.entries.delete(urn);
+    }, () => cache.entries.delete(urn));
+  }
+  return cache.entries.get(urn);
+}
+
+/**
+ * Load the content of a reference URN
+ * Resolves with a new fragment holding a copy of the converted elements, or null when the
+ * content cannot be found. Failed loads are not cached, the next call tries again
+ * @param {string} urn Reference URN ("/org/repo/path")
+ * @returns {Promise<DocumentFragment|null>}
+ */
+async function loadReference(urn) {
+  const template = await getTemplate(urn);
+  return template ? document.importNode(template.content, true) : null;
+}
+
+// Start the loads of the URNs not cached yet, load errors are left to ee-reference
+function prefetchUrns(urns) {
+  const unique = Array.from(new Set(urns.filter(Boolean)));
+  unique.forEach((urn) => getTemplate(urn).catch(() => {}));
+  return unique;
+}
+
+/**
+ * Start loading the references under root that load on their own (inline, not modal, without
+ * a trigger), so their content is cached by the time ee-reference asks for it
+ * Load errors are left to ee-reference, which loads the URN again
+ * @param {Element|DocumentFragment} root Hydrated content
+ * @returns {string[]} The URNs being loaded
+ */
+function prefetchReferences(root) {
+  const urns = Array.from(root.querySelectorAll('ee-reference[urn][inline]'))
+    .filter((el) => el.getAttribute('inline') !== 'false' && !el.hasAttribute('modal'))
+    .filter((el) => !Array.from(el.children).some((child) => child.getAttribute('slot') === 'trigger'))
+    .map((el) => el.getAttribute('urn'));
+  return prefetchUrns(urns);
+}
+
+/**
+ * Start loading the references of ee-reference blocks that are not converted yet (deferred
+ * blocks of progressive hydration), by the same rules as prefetchReferences
+ * @param {Object[]} blocks Row models, see EDSBlockDeserializer#deferredBlocks
+ * @returns {string[]} The URNs being loaded
+ */
+function prefetchReferenceBlocks(blocks) {
+  // Row keys may carry a type hint, e.g. "inline:boolean"
+  const rowValue = (block, name) => block.getRowValue(name) ?? block.getRowValue(`${name}:boolean`);
+  const urns = blocks
+    .filter((block) => block.elementName?.toLowerCase() === 'ee-reference')
+    .filter((block) => {
+      const inline = rowValue(block, 'inline');
+      return inline !== null && inline !== 'false';
+    })
+    .filter((block) => [null, 'false'].includes(rowValue(block, 'modal')))
+    .filter((block) => !block.rows.some((row) => row.isSlot && row.key === 'trigger'))
+    .map((block) => block.getRowValue('urn'));
+  return prefetchUrns(urns);
+}
+
+/**
+ * Parameters of a reference element: the params attribute (a JSON object, e.g. from a params row
+ * of the EDS block), overridden by data-param-* attributes (data-param-plan-name → plan-name)
+ * An invalid params value is ignored
+ * @param {Element} element ee-reference element
+ * @returns {Object<string, string>}
+ */
+function readReferenceParams(element) {
+  const params = {};
+  const json = element.getAttribute('params');
+  if (json) {
+    try {
+      const parsed = JSON.parse(json);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        Object.entries(parsed).forEach(([name, value]) => {
+          params[name] = value == null ? '' : String(value);
+        });
+      }
+    } catch (e) {
+      // do nothing
+    }
+  }
+  Array.from(element.attributes)
+    .filter(({ name }) => name.startsWith(PARAM_ATTRIBUTE_PREFIX))
+    .forEach(({ name, value }) => {
+      params[name.slice(PARAM_ATTRIBUTE_PREFIX.length)] = value;
+    });
+  return params;
+}
+
+/**
+ * Replace the placeholders of a string, unknown placeholders are kept
+ */
+function substituteParams(value, params) {
+  return value.replace(PARAM_PLACEHOLDER_PATTERN, (match, name) => (
+    Object.prototype.hasOwnProperty.call(params, name) ? params[name] : match
+  ));
+}
+
+/**
+ * Fill the placeholders of a style attribute one declaration at a time, a declaration whose
+ * filled value is not a safe style-* value is dropped
+ */
+function fillStyle(style, params) {
+  return style.split(';')
+    .filter((declaration) => declaration.trim())
+    .map((declaration) => substituteParams(declaration, params).trim())
+    .filter((declaration) => {
+      const value = declaration.slice(declaration.indexOf(':') + 1);
+      // Placeholders without a value stay as they are
+      return isSafeStyleValue(value.replace(PARAM_PLACEHOLDER_PATTERN, ''));
+    })
+    .join('; ');
+}
+
+/**
+ * Check the typed attributes of data-ee-param-types once their placeholder is filled:
+ * values are normalized like authored typed rows, values that do not match their type are removed
+ */
+function checkParamTypes(element) {
+  const unfilled = element.getAttribute(PARAM_TYPES_ATTRIBUTE).split(/\s+/).filter((entry) => {
+    const [, name, type] = entry.match(TYPED_KEY_PATTERN) || [];
+    if (!name || !element.hasAttribute(name)) return false;
+    const value = element.getAttribute(name);
+    if (hasParamPlaceholder(value)) return true;
+    const typed = parseTypedValue(type, value);
+    if (typed.error || typed.value === null) {
+      element.removeAttribute(name);
+    } else {
+      element.setAttribute(name, typed.value);
+    }
+    return false;
+  });
+  if (unfilled.length) {
+    element.setAttribute(PARAM_TYPES_ATTRIBUTE, unfilled.join(' '));
+  } else {
+    element.removeAttribute(PARAM_TYPES_ATTRIBUTE);
+  }
+}
+
+/**
+ * Fill the {{name}} placeholders of text and attribute values under root, in place
+ * Values are inserted as text, never parsed as markup. Filled attributes are checked like
+ * authored ones: a URL attribute whose scheme the sanitization policy does not allow is removed,
+ * a style declaration with an unsafe value is dropped, and typed attributes get their type
+ * @param {Element|DocumentFragment} root Loaded reference content
+ * @param {Object<string, string>} params Values by placeholder name
+ * @returns {Element|DocumentFragment} root
+ */
+function applyReferenceParams(root, params) {
+  if (!Object.keys(params).length) return root;
+  const doc = root.ownerDocument || document;
+  const walker = doc.createTreeWalker(root, NodeFilter.SHOW_ALL);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      if (node.data.includes('{{')) node.data = substituteParams(node.data, params);
+    } else if (node.nodeType === Node.ELEMENT_NODE) {
+      Array.from(node.attributes)
+        .filter(({ value }) => value.includes('{{'))
+        .forEach(({ name, value }) => {
+          const filled = name === 'style' ? fillStyle(value, params) : substituteParams(value, params);
+          if (isSafeAttributeValue(name, filled)) {
+            node.setAttribute(name, filled);
+          } else {
+            node.removeAttribute(name);
+          }
+        });
+      if (node.hasAttribute(PARAM_TYPES_ATTRIBUTE)) checkParamTypes(node);
+    }
+  }
+  return root;
+}
+
+/**
+ * Drop the cached content of a URN, or of every URN (sessionStorage copies included)
+ */
+function clearReferenceCache(urn = null) {
+  const cache = getReferenceCache();
+  try {
+    if (urn) {
+      sessionStorage.removeItem(`${STORAGE_PREFIX}${referenceUrl(urn)}`);
+    } else {
+      Object.keys(sessionStorage)
+        .filter((key) => key.startsWith(STORAGE_PREFIX))
+        .forEach((key) => sessionStorage.removeItem(key));
+    }
+  } catch (e) {
+    // do nothing
+  }
+  if (urn) {
+    cache.entries.delete(urn);
+  } else {
+    cache.entries.clear();
+  }
+}
+
+export {
+  loadReference,
+  prefetchReferences,
+  prefetchReferenceBlocks,
+  referenceUrl,
+  configureReferenceCache,
+  clearReferenceCache,
+  readReferenceParams,
+  applyReferenceParams,
+};
@@ -12,6 +12,19 @@ import {
   loadSections,
   loadCSS,
 } from './aem.js';
+import { decorateSectionThemes } from './theme.js';
+// eslint-disable-next-line import/no-cycle
+import {
+  getExperienceElementsOptions,
+  hydrateExperienceElements,
+  loadLazyExperienceElements,
+  loadDelayedExperienceElements,
+} from './experience-elements.js';
+
+const experienceElements = getExperienceElementsOptions();
+
+// True when the experience elements replaced the whole page (page mode, hydration succeeded)
+let experienceElementsPage = false;
 
 /**
  * Builds hero block and prepends to main in a new section.
@@ -87,6 +100,7 @@ export function decorateMain(main) {
   buildAutoBlocks(main);
   decorateSections(main);
   decorateBlocks(main);
+  decorateSectionThemes(main);
 }
 
 /**
@@ -96,9 +110,19 @@ export function decorateMain(main) {
 async function loadEager(doc) {
   document.documentElement.lang = 'en';
   decorateTemplateAndTheme();
-  const main = doc.querySelector('main');
+  let main = doc.querySelector('main');
   if (main) {
-    decorateMain(main);
+    main = await hydrateExperienceElements(main, experienceElements);
+    // After a failed hydration, main holds the authored content (or the fallback) instead
+    experienceElementsPage = experienceElements.mode === 'page' && !!main.closest('sp-theme');
+    if (experienceElementsPage) {
+      // The experience elements are the whole page, there are no sections to decorate
+      document.body.classList.add('appear');
+      return;
+    }
+    loadCSS(`${window.hlx.codeBasePath}/styles/styles.css`);
+    // The fallback fragment comes decorated by loadFragment
+    if (!main.querySelector(':scope > .section')) decorateMain(main);
     document.body.classList.add('appear');
     await loadSection(main.querySelector('.section'), waitForFirstImage);
   }
@@ -118,9 +142,12 @@ async function loadEager(doc) {
  * @param {Element} doc The container element
  */
 async function loadLazy(doc) {
+  const main = doc.querySelector('main');
+  loadLazyExperienceElements(main, experienceElements);
+  if (experienceElementsPage) return;
+
   loadHeader(doc.querySelector('header'));
 
-  const main = doc.querySelector('main');
   await loadSections(main);
 
   const { hash } = window.location;
@@ -140,6 +167,7 @@ async function loadLazy(doc) {
 function loadDelayed() {
   // eslint-disable-next-line import/no-cycle
   window.setTimeout(() => import('./delayed.js'), 3000);
+  window.setTimeout(() => loadDelayedExperienceElements(document.querySelector('main'), experienceElements), 3000);
   // load anything that can be postponed to the latest here
 }
 
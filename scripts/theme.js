@@ -0,0 +1,80 @@
+/**
+ * Spectrum theme (sp-theme) around experience elements, configured with page metadata:
+ * ee-theme-system (spectrum-two), ee-theme-color (light, dark, or auto to follow
+ * prefers-color-scheme) and ee-theme-scale (medium or large).
+ * The same keys in section metadata override the page values for one section.
+ */
+
+import { getMetadata } from './aem.js';
+
+const THEME_DEFAULTS = {
+  system: 'spectrum-two',
+  color: 'light',
+  scale: 'medium',
+};
+
+/**
+ * Resolves the theme configuration: overrides, then page metadata, then defaults
+ * @param {Object} [overrides] system, color and scale values (e.g. from section metadata)
+ * @returns {Object} The theme configuration
+ */
+export function getThemeConfig(overrides = {}) {
+  const config = { ...THEME_DEFAULTS };
+  Object.keys(config).forEach((key) => {
+    const value = overrides[key] || getMetadata(`ee-theme-${key}`);
+    if (value) config[key] = value.trim().toLowerCase();
+  });
+  return config;
+}
+
+/**
+ * Applies a theme configuration to an sp-theme element
+ * With color "auto", the color follows prefers-color-scheme, including later changes
+ * @param {Element} theme The sp-theme element
+ * @param {Object} config The theme configuration
+ * @returns {Element} The sp-theme element
+ */
+export function applyTheme(theme, config) {
+  theme.setAttribute('system', config.system);
+  theme.setAttribute('scale', config.scale);
+  const darkScheme = config.color === 'auto' && window.matchMedia
+    ? window.matchMedia('(prefers-color-scheme: dark)')
+    : null;
+  if (darkScheme) {
+    const update = () => theme.setAttribute('color', darkScheme.matches ? 'dark' : 'light');
+    update();
+    darkScheme.addEventListener('change', update);
+  } else {
+    theme.setAttribute('color', config.color === 'auto' ? THEME_DEFAULTS.color : config.color);
+  }
+  return theme;
+}
+
+/**
+ * Creates an sp-theme element
+ * @param {Object} [config] The theme configuration, defaults to the page configuration
+ * @returns {Element} The sp-theme element
+ */
+export function createTheme(config = getThemeConfig()) {
+  return applyTheme(document.createElement('sp-theme'), config);
+}
+
+/**
+ * Wraps the content of sections with theme overrides in their own sp-theme
+ * (pages that keep their EDS sections, see the ee-mode sections metadata)
+ * Runs after decorateSections, which stores section metadata in data-ee-theme-* attributes
+ * @param {Element} main The container element
+ */
+export function decorateSectionThemes(main) {
+  main.querySelectorAll(':scope > div.section').forEach((section) => {
+    const { eeThemeSystem: system, eeThemeColor: color, eeThemeScale: scale } = section.dataset;
+    if (!system && !color && !scale) return;
+    const config = getThemeConfig({ system, color, scale });
+    // Theme inside each wrapper, so the section layout rules (main > .section > div) still apply
+    [...section.children].forEach((wrapper) => {
+      const theme = createTheme(config);
+      theme.append(...wrapper.childNodes);
+      wrapper.append(theme);
+    });
+  });
+}
@@ -0,0 +1,515 @@
+/**
+ * to-eds.js - Convert custom element markup to the EDS experience-element format
+ *
+ * Every custom element becomes one experience-element table, children are
+ * serialized as separate tables and referenced with "→ block-id":
+ * <paywall-card plan-name="Firefly Standard">
+ *   <h2 slot="heading">Title</h2>
+ * </paywall-card>
+ *
+ * Converts to:
+ * <table>
+ *   <tr><td colspan="2">experience-element</td></tr>
+ *   <tr><td>element-name</td><td>paywall-card</td></tr>
+ *   <tr><td>format-version</td><td>3</td></tr>
+ *   <tr><td><strong>heading[h2]</strong></td><td><h2>Title</h2></td></tr>
+ *   <tr><td>plan-name</td><td>Firefly Standard</td></tr>
+ * </table>
+ *
+ * Elements with an authoring uid (data-ee-uid) get a stable block ID from it, so inserting an
+ * element does not renumber the references to the ones after it. The editor gives its elements
+ * a uid with assignUids before saving, so the uids are kept in its content and the block IDs
+ * are the same from one save to the next. With options.stableIds, elements still without
+ * a uid get a new one in the tables
+ *
+ * Reserved attribute names are escaped ("class" → "attr-class", see escapeAttributeName)
+ * and event handler attributes are dropped
+ * Attributes typed boolean, number or json in the element schema get a type hint in the key cell
+ * ("modal:boolean", "count:number", "config:json"), fromEds uses it to write the attribute back.
+ * Other attributes whose name ends like a hint get a ":string" hint, so they are read back as is
+ *
+ * from-eds.js reads this format back
+ */
+
+/* global globalThis */
+
+import {
+  VANILLA_TAGS,
+  BLOCK_TAGS,
+  FORMAT_VERSION,
+  TYPED_KEY_PATTERN,
+  UID_ATTRIBUTE,
+  PARAM_TYPES_ATTRIBUTE,
+  escapeAttributeName,
+  isEventHandlerAttribute,
+  hashId,
+  uidBlockId,
+  hasParamPlaceholder,
+} from './vanilla-tags.js';
+
+/**
+ * Type hints written in the key cell for schema attribute types: "count:number", "modal:boolean"
+ */
+const TYPE_HINTS = {
+  boolean: 'boolean',
+  number: 'number',
+  json: 'json',
+  object: 'json',
+  array: 'json',
+};
+
+/**
+ * Escape an attribute value for a table cell, so it is read back as text
+ */
+function escapeCellText(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * New random authoring uid
+ */
+function newUid() {
+  return Math.random().toString(36).slice(2, 10);
+}
+
+/**
+ * Format a single table entry as HTML
+ */
+function formatTable(table) {
+  const rows = [];
+  rows.push(`    <tr><td>element-name</td><td>${table.type}</td></tr>`);
+  rows.push(`    <tr><td>format-version</td><td>${FORMAT_VERSION}</td></tr>`);
+  Object.entries(table).forEach(([key, value]) => {
+    if (key.startsWith('slot.')) {
+      const slotName = key.substring(5);
+      if (slotName !== 'default') {
+        rows.push(`    <tr><td><strong>${slotName}</strong></td><td>${value}</td></tr>`);
+      }
+    }
+  });
+  Object.entries(table).forEach(([key, value]) => {
+    if (key.startsWith('style.')) {
+      const styleName = key.substring(6);
+      rows.push(`    <tr><td>style-${styleName}</td><td>${value}</td></tr>`);
+    }
+  });
+  Object.entries(table).forEach(([key, value]) => {
+    if (!['id', 'type', 'parent', 'slot', 'content', 'children'].includes(key) && !key.startsWith('slot.') && !key.startsWith('style.')) {
+      rows.push(`    <tr><td>${key}</td><td>${escapeCellText(value)}</td></tr>`);
+    }
+  });
+  if (table.children) {
+    rows.push(`    <tr><td>children</td><td>${table.children}</td></tr>`);
+  }
+  if (table['slot.default']) {
+    const value = table['slot.default'];
+    const needsWrapper = /<strong\b/i.test(value) && !value.trim().startsWith('<p');
+    const wrappedValue = needsWrapper ? `<p>${value}</p>` : value;
+    rows.push(`    <tr><td colspan="2">${wrappedValue}</td></tr>`);
+  }
+  const rowsHtml = rows.join('\n');
+  return `<table>
+  <tr><td colspan="2">experience-element</td></tr>
+${rowsHtml}
+</table>`;
+}
+
+class EDSSerializer {
+  #window;
+
+  #getSchema;
+
+  #stableIds;
+
+  #usedIds = new Set();
+
+  /**
+   * @param {Object} [options]
+   * @param {Window} [options.window] DOM implementation to use (e.g. a linkedom or jsdom window),
+   *   defaults to the global window so the serializer works unchanged in the browser
+   * @param {Function} [options.getSchema] Returns the schema of an element (used for attribute
+   *   type hints), defaults to the ee.getSchema of the registered element class
+   * @param {boolean} [options.stableIds] Give elements without an authoring uid (data-ee-uid)
+   *   a new one, so their block IDs stay stable from then on
+   */
+  constructor({ window: domWindow = globalThis.window, getSchema, stableIds = false } = {}) {
+    this.tables = [];
+    this.elementCounter = {};
+    this.#window = domWindow;
+    this.#stableIds = stableIds;
+    this.#getSchema = getSchema || ((element) => {
+      const ctor = this.#window.customElements?.get(element.tagName.toLowerCase());
+      return ctor?.ee?.getSchema?.(element);
+    });
+  }
+
+  /**
+   * Type hint of an attribute from the element schema, null for plain text attributes
+   */
+  #getTypeHint(element, attrName) {
+    let schema = null;
+    try {
+      schema = this.#getSchema(element);
+    } catch (e) {
+      return null;
+    }
+    return TYPE_HINTS[schema?.attributes?.[attrName]?.type] || null;
+  }
+
+  /**
+   * Generate unique ID for an element
+   * For ee-reference elements, uses URN hash for stable IDs, and for elements with an authoring uid
+   * a hash of the uid. A uid already used in the document (e.g. a copied element) is dropped,
+   * or replaced with options.stableIds
+   */
+  generateId(tagName, element = null) {
+    const baseName = tagName.toLowerCase();
+    if (baseName === 'ee-reference' && element) {
+      const urn = element.getAttribute('urn');
+      if (urn) {
+        const hash = hashId(urn);
+        return `ee-reference-${hash}`;
+      }
+    }
+    if (element) {
+      const currentUid = element.getAttribute(UID_ATTRIBUTE);
+      if (currentUid && this.#usedIds.has(uidBlockId(baseName, currentUid))) {
+        element.removeAttribute(UID_ATTRIBUTE);
+      }
+      if (this.#stableIds && !element.hasAttribute(UID_ATTRIBUTE)) {
+        element.setAttribute(UID_ATTRIBUTE, this.#newUid(baseName));
+      }
+      const uid = element.getAttribute(UID_ATTRIBUTE);
+      if (uid) {
+        const id = uidBlockId(baseName, uid);
+        this.#usedIds.add(id);
+        return id;
+      }
+    }
+    if (!this.elementCounter[baseName]) {
+      this.elementCounter[baseName] = 0;
+    }
+    this.elementCounter[baseName] += 1;
+    return `${baseName}-${this.elementCounter[baseName]}`;
+  }
+
+  /**
+   * New authoring uid whose block ID is not used yet
+   */
+  #newUid(baseName) {
+    let uid;
+    do {
+      uid = newUid();
+    } while (this.#usedIds.has(uidBlockId(baseName, uid)));
+    return uid;
+  }
+
+  /**
+   * Check if element is a vanilla HTML tag (in allowlist)
+   */
+  // eslint-disable-next-line class-methods-use-this
+  isVanillaTag(tagName) {
+    return VANILLA_TAGS.has(tagName.toLowerCase());
+  }
+
+  /**
+   * Find the first custom element within a container
+   */
+  #findFirstCustomElement(container) {
+    let found = null;
+    Array.from(container.children).some((child) => {
+      found = this.isVanillaTag(child.tagName) ? this.#findFirstCustomElement(child) : child;
+      return found;
+    });
+    return found;
+  }
+
+  /**
+   * Check if child nodes contain mixed inline content (text + inline vanilla elements)
+   * This detects cases like: "text <strong>bold</strong> more text"
+   */
+  #hasMixedInlineContent(childNodes) {
+    const { Node } = this.#window;
+    const elements = childNodes.filter((child) => child.nodeType === Node.ELEMENT_NODE);
+    if (elements.some((child) => !this.isVanillaTag(child.tagName) || child.getAttribute('slot'))) {
+      return false;
+    }
+    const hasText = childNodes
+      .some((child) => child.nodeType === Node.TEXT_NODE && child.textContent.trim());
+    return hasText && elements.length > 0;
+  }
+
+  /**
+   * Serialize mixed content (text nodes + inline elements) to a single HTML string
+   */
+  #serializeMixedContent(childNodes) {
+    return childNodes.map((child) => {
+      if (child.nodeType === this.#window.Node.TEXT_NODE) {
+        return child.textContent;
+      }
+      if (child.nodeType === this.#window.Node.ELEMENT_NODE) {
+        return this.serializeVanillaHTML(child);
+      }
+      return '';
+    }).join('');
+  }
+
+  /**
+   * Serialize vanilla HTML to string (including nested tags)
+   */
+  serializeVanillaHTML(element) {
+    if (element.nodeType === this.#window.Node.TEXT_NODE) {
+      return element.textContent.trim();
+    }
+    if (element.nodeType !== this.#window.Node.ELEMENT_NODE) {
+      return '';
+    }
+    const tagName = element.tagName.toLowerCase();
+    const attributes = Array.from(element.attributes).filter((attr) => attr.name !== 'slot').map((attr) => `${attr.name}="${attr.value}"`).join(' ');
+    const openTag = attributes ? `<${tagName} ${attributes}>` : `<${tagName}>`;
+    const closeTag = `</${tagName}>`;
+    if (['br', 'hr', 'img', 'input', 'source'].includes(tagName)) {
+      return attributes ? `<${tagName} ${attributes} />` : `<${tagName} />`;
+    }
+    const childrenHTML = Array.from(element.childNodes).map((child) => {
+      if (child.nodeType === this.#window.Node.TEXT_NODE) {
+        return child.textContent;
+      }
+      if (child.nodeType === this.#window.Node.ELEMENT_NODE) {
+        if (this.isVanillaTag(child.tagName)) {
+          return this.serializeVanillaHTML(child);
+        }
+        return child.outerHTML;
+      }
+      return '';
+    }).join('');
+    return `${openTag}${childrenHTML}${closeTag}`;
+  }
+
+  /**
+   * Parse CSS variables from style attribute
+   */
+  // eslint-disable-next-line class-methods-use-this
+  parseStyleVariables(styleAttr) {
+    const vars = {};
+    if (!styleAttr) return vars;
+    const declarations = styleAttr.split(';').filter((d) => d.trim());
+    declarations.forEach((decl) => {
+      const [prop, value] = decl.split(':').map((s) => s.trim());
+      if (prop && prop.startsWith('--')) {
+        const varName = prop.substring(2);
+        vars[`style.${varName}`] = value;
+      } else if (prop) {
+        vars[`style.${prop}`] = value;
+      }
+    });
+    return vars;
+  }
+
+  /**
+   * Process custom element and create table entry
+   */
+  processCustomElement(element, parentId = null, slotName = null) {
+    const tagName = element.tagName.toLowerCase();
+    const id = this.generateId(tagName, element);
+    const table = {
+      id,
+      type: tagName,
+    };
+    if (parentId) {
+      table.parent = parentId;
+    }
+    if (slotName) {
+      table.slot = slotName;
+    }
+    const isEeReference = tagName === 'ee-reference';
+    if (isEeReference) {
+      const urn = element.getAttribute('urn');
+      if (urn) {
+        const hash = hashId(urn);
+        table['data-reference'] = hash;
+      }
+    }
+    const styleVars = this.parseStyleVariables(element.getAttribute('style'));
+    Object.assign(table, styleVars);
+    // Typed attributes holding a parameter placeholder, written back with their type
+    const paramTypes = new Map((element.getAttribute(PARAM_TYPES_ATTRIBUTE) || '')
+      .split(/\s+/)
+      .map((entry) => entry.match(TYPED_KEY_PATTERN))
+      .filter(Boolean)
+      .map(([, name, type]) => [name, type]));
+    Array.from(element.attributes).forEach((attr) => {
+      if (attr.name === 'style' || attr.name === PARAM_TYPES_ATTRIBUTE) {
+        return;
+      }
+      if (attr.name === 'slot') {
+        return;
+      }
+      if (isEventHandlerAttribute(attr.name)) {
+        return;
+      }
+      const propName = escapeAttributeName(attr.name);
+      const typeHint = this.#getTypeHint(element, attr.name) || paramTypes.get(attr.name);
+      if (typeHint && hasParamPlaceholder(attr.value)) {
+        table[`${propName}:${typeHint}`] = attr.value;
+      } else if (typeHint) {
+        // Boolean attributes set to "false" read as false (booleanConverter), not as present
+        const value = attr.value !== 'false' ? 'true' : 'false';
+        table[`${propName}:${typeHint}`] = typeHint === 'boolean' ? value : attr.value;
+      } else if (TYPED_KEY_PATTERN.test(propName)) {
+        table[`${propName}:string`] = attr.value;
+      } else {
+        table[propName] = attr.value;
+      }
+    });
+    const slotContents = {};
+    const childRefs = [];
+    const childNodes = Array.from(element.childNodes);
+    const skipDefaultSlot = isEeReference;
+    const hasMixedInlineContent = !skipDefaultSlot && this.#hasMixedInlineContent(childNodes);
+    if (hasMixedInlineContent) {
+      const htmlString = this.#serializeMixedContent(childNodes);
+      if (htmlString.trim()) {
+        slotContents['slot.default'] = [htmlString];
+      }
+    } else {
+      childNodes.forEach((child) => {
+        if (child.nodeType === this.#window.Node.TEXT_NODE) {
+          const text = child.textContent.trim();
+          if (text && !skipDefaultSlot) {
+            if (!slotContents['slot.default']) {
+              slotContents['slot.default'] = [];
+            }
+            slotContents['slot.default'].push(text);
+          }
+          return;
+        }
+        if (child.nodeType !== this.#window.Node.ELEMENT_NODE) {
+          return;
+        }
+        const childTagName = child.tagName.toLowerCase();
+        const childSlot = child.getAttribute('slot');
+        if (skipDefaultSlot && !childSlot) {
+          return;
+        }
+        if (this.isVanillaTag(childTagName)) {
+          const htmlString = this.serializeVanillaHTML(child);
+          if (childSlot) {
+            const slotKey = childTagName !== 'div' ? `slot.${childSlot}[${childTagName}]` : `slot.${childSlot}`;
+            if (!slotContents[slotKey]) {
+              slotContents[slotKey] = [];
+            }
+            slotContents[slotKey].push(htmlString);
+          } else {
+            if (!slotContents['slot.default']) {
+              slotContents['slot.default'] = [];
+            }
+            slotContents['slot.default'].push(htmlString);
+          }
+        } else if (BLOCK_TAGS.has(childTagName)) {
+          const childId = this.processCustomElement(child, id, childSlot);
+          childRefs.push({ id: childId, slot: childSlot });
+        } else {
+          const childId = this.processCustomElement(child, id, childSlot);
+          childRefs.push({ id: childId, slot: childSlot });
+        }
+      });
+    }
+    Object.entries(slotContents).forEach(([slotKey, values]) => {
+      table[slotKey] = values.join(' ');
+    });
+    const slotRefs = {};
+    const unslottedRefs = [];
+    childRefs.forEach(({ id: childId, slot }) => {
+      if (slot) {
+        if (!slotRefs[`slot.${slot}`]) {
+          slotRefs[`slot.${slot}`] = [];
+        }
+        slotRefs[`slot.${slot}`].push(`→ ${childId}`);
+      } else {
+        unslottedRefs.push(`→ ${childId}`);
+      }
+    });
+    Object.entries(slotRefs).forEach(([slotKey, refs]) => {
+      if (table[slotKey]) {
+        table[slotKey] = `${table[slotKey]}, ${refs.join(', ')}`;
+      } else {
+        table[slotKey] = refs.join(', ');
+      }
+    });
+    if (unslottedRefs.length > 0) {
+      table.children = unslottedRefs.join(', ');
+    }
+    this.tables.push(table);
+    return id;
+  }
+
+  /**
+   * Convert HTML string to EDS tables
+   */
+  toEDS(htmlString) {
+    // Wrap fragments in a full document, minimal DOM implementations only build <body> for those
+    const source = /<html[\s>]/i.test(htmlString) ? htmlString : `<html><body>${htmlString}</body></html>`;
+    const parser = new this.#window.DOMParser();
+    const doc = parser.parseFromString(source, 'text/html');
+    const rootElement = doc.body.firstElementChild;
+    if (!rootElement) {
+      throw new Error('No root element found');
+    }
+    this.processCustomElement(rootElement);
+    return this.tables;
+  }
+
+  /**
+   * Format tables as HTML (EDS authoring format)
+   * First row contains the block name "experience-element"
+   * Second row contains element-name with the actual custom element tag
+   * Third row contains the format-version the table was written with
+   * Subsequent rows contain slot-name/value pairs
+   */
+  toHTML() {
+    return this.tables.map((table) => formatTable(table)).join('\n\n');
+  }
+}
+
+/**
+ * Convert custom element markup to EDS tables
+ * Returns the table objects, or the authoring HTML with options.format === "html"
+ * options.window, options.getSchema and options.stableIds are passed to EDSSerializer
+ */
+function toEds(htmlString, options = {}) {
+  const { window: domWindow, getSchema, stableIds } = options;
+  const serializer = new EDSSerializer({ window: domWindow, getSchema, stableIds });
+  const tables = serializer.toEDS(htmlString);
+  if (options.format === 'html') {
+    return serializer.toHTML();
+  }
+  return tables;
+}
+
+/**
+ * Give the custom elements under root an authoring uid (data-ee-uid), in place
+ * Elements keep their uid, except when it was already seen in document order (a copied element)
+ * @param {Element|DocumentFragment} root Live content, e.g. the editor host
+ * @returns {number} The number of uids assigned
+ */
+function assignUids(root) {
+  const used = new Set();
+  let assigned = 0;
+  Array.from(root.querySelectorAll('*'))
+    .filter((element) => element.tagName.includes('-'))
+    .forEach((element) => {
+      let uid = element.getAttribute(UID_ATTRIBUTE);
+      if (!uid || used.has(uid)) {
+        do {
+          uid = newUid();
+        } while (used.has(uid));
+        element.setAttribute(UID_ATTRIBUTE, uid);
+        assigned += 1;
+      }
+      used.add(uid);
+    });
+  return assigned;
+}
+
+export { toEds, assignUids, EDSSerializer };
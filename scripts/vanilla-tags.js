@@ -3,21 +3,21 @@
  * (not treated as custom element blocks)
  */
 export const VANILLA_TAGS = new Set([
-  "p",
-  "h1",
-  "h2",
-  "h3",
-  "h4",
-  "h5",
-  "h6",
-  "span",
-  "a",
-  "strong",
-  "em",
-  "b",
-  "i",
-  "u",
-  "br",
+  'p',
+  'h1',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+  'span',
+  'a',
+  'strong',
+  'em',
+  'b',
+  'i',
+  'u',
+  'br',
 ]);
 
 /**
@@ -25,12 +25,134 @@ export const VANILLA_TAGS = new Set([
  * (not treated as inline vanilla tags, but also not custom elements)
  */
 export const BLOCK_TAGS = new Set([
-  "section",
-  "div",
-  "article",
-  "aside",
-  "nav",
-  "header",
-  "footer",
-  "main",
+  'section',
+  'div',
+  'article',
+  'aside',
+  'nav',
+  'header',
+  'footer',
+  'main',
 ]);
+
+/**
+ * Version of the experience-element table conventions (attr-type, style-*, [tag] notation,
+ * → references, type hints), written by toEds as the format-version row of every table.
+ * Bump it whenever a convention changes, and add the migration from the previous version in fromEds
+ */
+export const FORMAT_VERSION = 3;
+
+/**
+ * Row key with a type hint: "count:number" → name "count", type "number"
+ * "string" only marks an attribute whose own name ends like a hint:
+ * "data:json:string" → "data:json"
+ */
+export const TYPED_KEY_PATTERN = /^(.+):(number|boolean|json|string)$/;
+
+/**
+ * Attribute value of a typed row value, following the attribute conventions of Lit properties:
+ * booleans are present ("") or absent (null), numbers and JSON are written in their normalized form
+ * Returns { value }, or { error } when the value does not match its type
+ */
+export function parseTypedValue(type, value) {
+  if (type === 'boolean') {
+    if (!/^(true|false)$/i.test(value)) return { error: `expects true or false, got "${value}"` };
+    return { value: value.toLowerCase() === 'true' ? '' : null };
+  }
+  if (type === 'number') {
+    const number = Number(value);
+    if (value === '' || Number.isNaN(number)) return { error: `expects a number, got "${value}"` };
+    return { value: String(number) };
+  }
+  if (type === 'json') {
+    try {
+      return { value: JSON.stringify(JSON.parse(value)) };
+    } catch (e) {
+      return { error: `expects JSON: ${e.message}` };
+    }
+  }
+  return { value };
+}
+
+/**
+ * Reference parameter placeholders: {{plan-name}}, spaces allowed inside the braces
+ */
+export const PARAM_PLACEHOLDER_PATTERN = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+/**
+ * Check if a value has a parameter placeholder
+ */
+export function hasParamPlaceholder(value) {
+  return value.search(PARAM_PLACEHOLDER_PATTERN) !== -1;
+}
+
+/**
+ * Attribute listing the typed attributes whose value is a parameter placeholder
+ * ("count:number featured:boolean"), their type is checked once the placeholder is filled
+ */
+export const PARAM_TYPES_ATTRIBUTE = 'data-ee-param-types';
+
+/**
+ * Attribute names that collide with table conventions or with the serializer's table keys
+ * Rows for these (and for any name starting with "attr-" or "style-") are written as "attr-<name>"
+ */
+export const RESERVED_ATTRIBUTES = new Set([
+  'type',
+  'class',
+  'id',
+  'slot',
+  'style',
+  'children',
+  'parent',
+  'content',
+  'element-name',
+  'format-version',
+]);
+
+/**
+ * Escape an attribute name for a row key: "class" → "attr-class", "attr-x" → "attr-attr-x"
+ */
+export function escapeAttributeName(name) {
+  return RESERVED_ATTRIBUTES.has(name) || /^(attr|style)-/.test(name) ? `attr-${name}` : name;
+}
+
+/**
+ * Read an attribute name back from a row key: "attr-class" → "class"
+ */
+export function unescapeAttributeName(key) {
+  return key.startsWith('attr-') ? key.substring(5) : key;
+}
+
+/**
+ * Event handler attributes (onclick, onerror...) are never written to or read from EDS rows
+ */
+export function isEventHandlerAttribute(name) {
+  return /^on/i.test(name);
+}
+
+/**
+ * Hash a string (a URN, an authoring uid) into a short stable ID
+ */
+export function hashId(value) {
+  if (!value) return null;
+  // hash * 31 + char, kept to 32 bits by the Int32Array
+  const hash = new Int32Array(1);
+  for (let i = 0; i < value.length; i += 1) {
+    hash[0] = hash[0] * 31 + value.charCodeAt(i);
+  }
+  return Math.abs(hash[0]).toString(36);
+}
+
+/**
+ * Attribute holding the authoring uid of an element, written as a row like any attribute
+ * Blocks with a uid get a stable ID from it instead of a counter-based one that depends on
+ * document order (see uidBlockId)
+ */
+export const UID_ATTRIBUTE = 'data-ee-uid';
+
+/**
+ * Stable block ID of an element with an authoring uid: "paywall-card-1x9k2f"
+ */
+export function uidBlockId(tagName, uid) {
+  return `${tagName.toLowerCase()}-${hashId(uid)}`;
+}
@@ -0,0 +1,21 @@
+/**
+ * Runs the round-trip corpus of scripts/eds-round-trip.js (toEds, then fromEds) in Node,
+ * on the linkedom DOM implementation
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseHTML } from 'linkedom';
+import { ROUND_TRIP_CORPUS, checkRoundTrip, corpusEntryOptions } from '../scripts/eds-round-trip.js';
+
+const { window } = parseHTML('<html><body></body></html>');
+
+describe('EDS round trip', () => {
+  ROUND_TRIP_CORPUS.forEach((entry) => {
+    it(`keeps ${entry.name}`, () => {
+      const options = corpusEntryOptions(entry, { window });
+      const { expected, actual } = checkRoundTrip(entry.html, options);
+      assert.equal(actual, expected);
+    });
+  });
+});
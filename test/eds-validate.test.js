@@ -0,0 +1,100 @@
+/**
+ * Schema validation of hydrated experience elements
+ */
+
+/* global globalThis */
+
+import {
+  describe, it, before, after, mock,
+} from 'node:test';
+import assert from 'node:assert/strict';
+import { CustomEvent, Node, parseHTML } from 'linkedom';
+import { validateExperienceElements } from '../scripts/eds-validate.js';
+
+const { document } = parseHTML('<html><body></body></html>');
+
+const SCHEMAS = {
+  'x-card': {
+    attributes: {
+      size: { type: 'enum', options: ['s', { value: 'm' }] },
+      'plan-name': { required: true },
+    },
+    slots: {
+      configs: {
+        heading: { inlineEditable: true, maxLength: 10 },
+        media: { allowedTags: ['x-media'] },
+        badge: { maxLength: 1 },
+        default: { minLength: 1 },
+      },
+    },
+  },
+};
+
+const getSchema = (element) => SCHEMAS[element.tagName.toLowerCase()] || null;
+
+function render(html) {
+  const root = document.createElement('main');
+  root.innerHTML = html;
+  return root;
+}
+
+before(() => {
+  Object.assign(globalThis, { Node, CustomEvent });
+  mock.method(console, 'warn', () => {});
+});
+
+after(() => {
+  delete globalThis.Node;
+  delete globalThis.CustomEvent;
+  mock.restoreAll();
+});
+
+describe('validateExperienceElements', () => {
+  it('reports invalid enum values and missing required attributes', async () => {
+    const root = render('<x-card size="xl">Text</x-card><x-card size="m" plan-name="Pro">Text</x-card>');
+    const violations = await validateExperienceElements(root, { getSchema, strip: true });
+    assert.deepEqual(violations.map(({ name, reason, stripped }) => [name, reason, stripped]), [
+      ['size', 'invalid-option', true],
+      ['plan-name', 'missing-attribute', false],
+    ]);
+    assert.equal(root.querySelector('x-card').hasAttribute('size'), false);
+  });
+
+  it('checks slot children, and text slots by characters', async () => {
+    const root = render(`<x-card plan-name="Pro">
+      <h2 slot="heading">A heading that is too long</h2>
+      <x-video slot="media"></x-video><p slot="media"><x-media></x-media></p>
+      <span slot="badge">New</span><span slot="badge">Sale</span>
+      <span slot="footer">Footer</span>
+    </x-card>`);
+    const violations = await validateExperienceElements(root, { getSchema });
+    assert.deepEqual(violations.map(({ name, reason }) => [name, reason]), [
+      ['footer', 'unknown-slot'],
+      ['heading', 'text-too-long'],
+      ['media', 'disallowed-tag'],
+      ['badge', 'too-many-children'],
+      ['default', 'too-few-children'],
+    ]);
+    assert.equal(root.querySelectorAll('[slot="badge"]').length, 2);
+  });
+
+  it('strips extra and disallowed slot children', async () => {
+    const root = render('<x-card plan-name="Pro"><x-video slot="media"></x-video><span slot="badge">New</span><span slot="badge">Sale</span>Text</x-card>');
+    await validateExperienceElements(root, { getSchema, strip: true });
+    assert.equal(root.querySelector('x-card').innerHTML, '<span slot="badge">New</span>Text');
+  });
+
+  it('validates each element once and dispatches ee:validation on invalid ones', async () => {
+    const root = render('<x-card>Text</x-card>');
+    const events = [];
+    root.addEventListener('ee:validation', (event) => events.push(event.detail.violations.length));
+    assert.equal((await validateExperienceElements(root, { getSchema })).length, 1);
+    assert.deepEqual(events, [1]);
+
+    root.append(render('<x-card>Text</x-card>').firstChild);
+    const violations = await validateExperienceElements(root, { getSchema });
+    assert.equal(violations.length, 1);
+    assert.equal(violations[0].element, root.lastChild);
+    assert.deepEqual(events, [1, 1]);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Hydration of the experience-element blocks of a page, in page and sections mode
+ * aem.js initializes on import and reads the page globals, so the module is imported once a
+ * linkedom window stands in for them
+ */
+
+/* global globalThis */
+
+import {
+  describe, it, before, after, beforeEach, mock,
+} from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CustomEvent, DOMParser, Node, parseHTML,
+} from 'linkedom';
+
+// linkedom only builds a <body> for complete documents, browsers also do it for fragments
+class FragmentDOMParser extends DOMParser {
+  parseFromString(markup, type) {
+    return super.parseFromString(/<html[\s>]/i.test(markup) ? markup : `<html><body>${markup}</body></html>`, type);
+  }
+}
+
+const { window, document } = parseHTML('<html><head></head><body></body></html>');
+window.location = new URL('https://example.com/');
+window.SAMPLE_PAGEVIEWS_AT_RATE = 'off';
+const GLOBALS = {
+  window, document, DOMParser: FragmentDOMParser, Node, CustomEvent,
+};
+
+let hydrateExperienceElements;
+let getExperienceElementsOptions;
+let EDSBlockDeserializer;
+let configureLogger;
+const checkpoints = [];
+
+before(async () => {
+  Object.assign(globalThis, GLOBALS);
+  document.addEventListener('rum', ({ detail }) => checkpoints.push(detail));
+  ({
+    hydrateExperienceElements,
+    getExperienceElementsOptions,
+  } = await import('../scripts/experience-elements.js'));
+  ({ EDSBlockDeserializer } = await import('../scripts/from-eds.js'));
+  ({ configureLogger } = await import('../scripts/ee-logger.js'));
+});
+
+after(() => {
+  Object.keys(GLOBALS).forEach((name) => delete globalThis[name]);
+  mock.restoreAll();
+});
+
+function block(name, rows = []) {
+  const cells = rows.map(([key, value]) => `<div><div>${key}</div><div>${value}</div></div>`).join('');
+  return `<div class="experience-element"><div><div>element-name</div><div>${name}</div></div>${cells}</div>`;
+}
+
+function page(html) {
+  document.body.innerHTML = `<header></header><main>${html}</main>`;
+  return document.querySelector('main');
+}
+
+describe('hydrateExperienceElements', () => {
+  beforeEach(() => {
+    checkpoints.length = 0;
+  });
+
+  it('leaves a page without experience-element blocks untouched', async () => {
+    const main = page('<div><p>Regular content</p></div>');
+    assert.equal(await hydrateExperienceElements(main), main);
+    assert.equal(document.body.innerHTML, '<header></header><main><div><p>Regular content</p></div></main>');
+  });
+
+  it('replaces main with the root elements in page mode', async () => {
+    const main = page(`<div>${block('x-list', [['<strong>children</strong>', '→ x-item-1']])}${
+      block('x-item', [['label', 'First']])}</div><div><p>Dropped</p></div>`);
+    const container = await hydrateExperienceElements(main, { mode: 'page' });
+    assert.notEqual(container, main);
+    assert.equal(container.parentElement.tagName.toLowerCase(), 'sp-theme');
+    assert.equal(container.innerHTML, '<x-list><x-item label="First"></x-item></x-list>');
+    assert.deepEqual(checkpoints.map(({ checkpoint }) => checkpoint), ['ee-hydrated']);
+  });
+
+  it('upgrades each block inside its section in sections mode', async () => {
+    const main = page(`<div><p>Intro</p>${block('x-card', [['plan-name', 'Pro']])}</div>`);
+    const container = await hydrateExperienceElements(main, { mode: 'sections' });
+    assert.equal(container, main);
+    assert.equal(main.parentElement.tagName.toLowerCase(), 'sp-theme');
+    assert.equal(main.innerHTML, '<div><p>Intro</p><x-card plan-name="Pro"></x-card></div>');
+  });
+
+  it('puts the authored blocks back and reports the failing block when hydration throws', async () => {
+    mock.method(console, 'error', () => {});
+    EDSBlockDeserializer.registerTagHandler('x-broken', {
+      finalize() {
+        throw new Error('broken');
+      },
+    });
+    const authored = `<div>${block('x-broken')}</div>`;
+    const main = page(authored);
+    const restored = await hydrateExperienceElements(main, { mode: 'page' });
+    globalThis[Symbol.for('ee-tag-handlers')].delete('x-broken');
+
+    assert.equal(restored.parentElement, document.body);
+    assert.equal(restored.innerHTML, authored);
+    const error = checkpoints.find(({ checkpoint }) => checkpoint === 'error');
+    assert.deepEqual(error.data, { source: 'ee-hydrate', target: 'x-broken-1' });
+  });
+});
+
+describe('getExperienceElementsOptions', () => {
+  after(() => {
+    window.location = new URL('https://example.com/');
+    configureLogger();
+  });
+
+  it('reads the debug option like the loggers read ee-debug', () => {
+    const debug = (search) => {
+      window.location = new URL(`https://example.com/${search}`);
+      configureLogger();
+      return getExperienceElementsOptions().debug;
+    };
+    assert.equal(debug(''), false);
+    assert.equal(debug('?ee-debug'), true);
+    assert.equal(debug('?ee-debug=ee-hydrate:warn'), true);
+    assert.equal(debug('?ee-debug=0'), false);
+    assert.equal(debug('?ee-debug=false'), false);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Attribute and style policies applied by fromEds
+ */
+
+/* global globalThis */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseHTML } from 'linkedom';
+import { EDSBlockDeserializer, fromEds, observeDeferredBlocks } from '../scripts/from-eds.js';
+
+const { window } = parseHTML('<html><body></body></html>');
+
+function block(name, rows = [], classes = '') {
+  const cells = rows.map(([key, value]) => `<div><div>${key}</div><div>${value}</div></div>`).join('');
+  return `<main><div class="experience-element ${classes}"><div><div>element-name</div><div>${name}</div></div>${cells}</div></main>`;
+}
+
+describe('fromEds variants', () => {
+  it('applies the attribute policy to block class variants', () => {
+    const { html, diagnostics } = fromEds(block('x-card', [], 'onmouseover dark blocked'), {
+      window,
+      diagnostics: true,
+      attributes: { deny: ['blocked'] },
+    });
+    assert.equal(html, '<x-card dark=""></x-card>');
+    assert.deepEqual(diagnostics.map(({ reason }) => reason), ['blocked-attribute', 'blocked-attribute']);
+  });
+});
+
+describe('fromEds style rows', () => {
+  it('sets style-* rows as custom properties', () => {
+    const html = fromEds(block('x-card', [['style-color', 'red']]), { window });
+    assert.equal(html, '<x-card style="--color: red"></x-card>');
+  });
+
+  it('rejects values that would add declarations or load resources', () => {
+    const { html, diagnostics } = fromEds(block('x-card', [
+      ['style-color', 'red; background:url(javascript:alert(1))'],
+      ['style-image', 'url(/a.png)'],
+      ['style-size', 'expression(alert(1))'],
+      ['style-gap', '1px \\3b'],
+    ]), { window, diagnostics: true });
+    assert.equal(html, '<x-card></x-card>');
+    assert.deepEqual(diagnostics.map(({ reason }) => reason), Array(4).fill('blocked-style'));
+  });
+});
+
+describe('fromEds tag handlers', () => {
+  it('shares the handlers with other copies of the module', () => {
+    EDSBlockDeserializer.registerTagHandler('x-price', {
+      finalize(element) {
+        element.setAttribute('data-finalized', '');
+      },
+    });
+    const handlers = globalThis[Symbol.for('ee-tag-handlers')];
+    assert.ok(handlers.has('x-price'));
+    assert.equal(fromEds(block('x-price'), { window }), '<x-price data-finalized=""></x-price>');
+    handlers.delete('x-price');
+  });
+});
+
+describe('fromEds type hints', () => {
+  it('reads hinted keys into typed attributes', () => {
+    const html = fromEds(block('x-card', [
+      ['format-version', '3'],
+      ['count:number', '1.50'],
+      ['data:json:string', '{ "a": 1 }'],
+    ]), { window });
+    const { document } = parseHTML(html);
+    const card = document.querySelector('x-card');
+    assert.equal(card.getAttribute('count'), '1.5');
+    assert.equal(card.getAttribute('data:json'), '{ "a": 1 }');
+  });
+
+  it('keeps keys ending like a hint as attribute names in version 2 blocks', () => {
+    const html = fromEds(block('x-card', [['format-version', '2'], ['data:json', '{ "a": 1 }']]), { window });
+    assert.equal(html, '<x-card data:json="{ &quot;a&quot;: 1 }"></x-card>');
+  });
+});
+
+describe('fromEds roots', () => {
+  const page = '<main><div class="experience-element"><div><div>element-name</div><div>x-hero</div></div></div>'
+    + '<div class="experience-element"><div><div>element-name</div><div>x-card</div></div></div></main>';
+
+  it('converts every root of a page without warnings', () => {
+    const { html, diagnostics } = fromEds(page, { window, diagnostics: true });
+    assert.equal(html, '<x-hero></x-hero><x-card></x-card>');
+    assert.deepEqual(diagnostics, []);
+  });
+
+  it('reports the roots when a single one is expected', () => {
+    const deserializer = new EDSBlockDeserializer({ window });
+    const blocks = deserializer.findBlocks(parseHTML(page).document.querySelector('main'));
+    deserializer.buildBlockMap(blocks);
+    assert.equal(deserializer.findRootBlock(blocks), blocks[1]);
+    assert.deepEqual(deserializer.diagnostics.map(({ reason }) => reason), ['multiple-roots', 'multiple-roots']);
+  });
+});
+
+describe('fromEds element names', () => {
+  it('keeps the authored block when the element-name is not a valid tag name', () => {
+    ['img src=x onerror=alert(1)', 'x-card onmouseover=alert(1)', 'script'].forEach((name) => {
+      const { html, diagnostics } = fromEds(block(name), { window, diagnostics: true });
+      assert.ok(!html.includes('onerror="') && !html.includes('onmouseover="'), html);
+      assert.ok(!/<(img|script|x-card)[\s>]/.test(html), html);
+      assert.deepEqual(diagnostics.map(({ reason }) => reason), ['unknown-tag']);
+    });
+  });
+});
+
+describe('fromEds attribute names', () => {
+  it('reports names a browser would not accept instead of setting them', () => {
+    const { html, diagnostics } = fromEds(block('x-card', [
+      ['format-version', '3'],
+      ['plan name', 'A'],
+      ['attr-', 'B'],
+      ['"quoted"', 'C'],
+      ['plan-name', 'D'],
+    ]), { window, diagnostics: true });
+    assert.equal(html, '<x-card plan-name="D"></x-card>');
+    assert.deepEqual(diagnostics.map(({ reason }) => reason), Array(3).fill('blocked-attribute'));
+  });
+});
+
+describe('fromEds formats', () => {
+  const rows = [
+    ['element-name', 'x-card'],
+    ['plan-name', 'Pro'],
+    ['x', 'a', 'extra'],
+    ['<p>Default content</p>'],
+    ['<strong>heading[h2]</strong>', 'Title'],
+  ];
+  const cells = (tag, row) => row.map((cell) => `<${tag}>${cell}</${tag}>`).join('');
+  const divBlock = `<main><div class="experience-element">${rows.map((row) => `<div>${cells('div', row)}</div>`).join('')}</div></main>`;
+  const table = `<main><table><tr><td colspan="2">experience-element</td></tr>${rows.map((row) => (
+    row.length === 1 ? `<tr><td colspan="2">${row[0]}</td></tr>` : `<tr>${cells('td', row)}</tr>`
+  )).join('')}</table></main>`;
+
+  it('reads a block div and a table into the same markup and diagnostics', () => {
+    const fromDivs = fromEds(divBlock, { window, diagnostics: true });
+    const fromTable = fromEds(table, { window, diagnostics: true });
+    assert.equal(fromTable.html, fromDivs.html);
+    assert.ok(fromDivs.html.includes(' x="a"'));
+    assert.deepEqual(fromTable.diagnostics, fromDivs.diagnostics);
+    assert.deepEqual(fromDivs.diagnostics.map(({ reason, row }) => [reason, row]), [['invalid-row', 2]]);
+  });
+});
+
+describe('observeDeferredBlocks', () => {
+  it('drops a placeholder whose block throws and hydrates the others', async () => {
+    EDSBlockDeserializer.registerTagHandler('x-broken', {
+      finalize() {
+        throw new Error('broken');
+      },
+    });
+    const deserializer = new EDSBlockDeserializer({ window, deferDepth: 1 });
+    const { document } = parseHTML('<html><body></body></html>');
+    document.body.append(deserializer.toElement(`<main>${
+      block('x-list', [['<strong>children</strong>', '→ x-broken-1, → x-item-1']])
+    }${block('x-broken')}${block('x-item')}</main>`));
+    assert.equal(deserializer.pending.length, 2);
+
+    const errors = [];
+    observeDeferredBlocks(document.body, deserializer, {
+      idleTimeout: 0,
+      onError: (error) => errors.push(error.blockId),
+    });
+    await new Promise((resolve) => { setTimeout(resolve, 20); });
+    assert.equal(document.body.innerHTML, '<x-list><x-item></x-item></x-list>');
+    assert.deepEqual(errors, ['x-broken-1']);
+    assert.equal(deserializer.pending.length, 0);
+    globalThis[Symbol.for('ee-tag-handlers')].delete('x-broken');
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Reference prefetching and parameters
+ */
+
+/* global globalThis */
+
+import {
+  describe, it, beforeEach, after,
+} from 'node:test';
+import assert from 'node:assert/strict';
+import { NodeFilter, parseHTML } from 'linkedom';
+import { EDSBlockDeserializer, fromEds } from '../scripts/from-eds.js';
+import {
+  applyReferenceParams,
+  clearReferenceCache,
+  prefetchReferenceBlocks,
+  readReferenceParams,
+} from '../scripts/reference-cache.js';
+
+const { window } = parseHTML('<html><body></body></html>');
+
+const requested = [];
+globalThis.window = { location: { origin: 'https://example.com' } };
+globalThis.fetch = async (url) => {
+  requested.push(url);
+  return { ok: false, status: 404 };
+};
+globalThis.Node = window.Node;
+globalThis.NodeFilter = NodeFilter;
+
+after(() => {
+  ['window', 'fetch', 'Node', 'NodeFilter'].forEach((name) => delete globalThis[name]);
+});
+
+function block(name, rows = []) {
+  // Current format, so typed keys like inline:boolean are not migrated
+  const cells = [['format-version', '3'], ...rows].map(([key, value]) => `<div><div>${key}</div><div>${value}</div></div>`).join('');
+  return `<div class="experience-element"><div><div>element-name</div><div>${name}</div></div>${cells}</div>`;
+}
+
+describe('prefetchReferenceBlocks', () => {
+  beforeEach(() => {
+    requested.length = 0;
+    clearReferenceCache();
+  });
+
+  it('loads the references of deferred ee-reference blocks that load on their own', () => {
+    const deserializer = new EDSBlockDeserializer({ window, deferDepth: 1 });
+    deserializer.toElement(`<main>${block('x-list', [
+      ['<strong>children</strong>', '→ ee-reference-1, → ee-reference-2, → ee-reference-3, → ee-reference-4'],
+    ])}${block('ee-reference', [['urn', '/org/site/footer'], ['inline', '']])
+    }${block('ee-reference', [['urn', '/org/site/offer'], ['inline:boolean', 'true'], ['modal:boolean', 'false']])
+    }${block('ee-reference', [['urn', '/org/site/dialog'], ['inline', ''], ['modal', '']])
+    }${block('ee-reference', [['urn', '/org/site/card'], ['inline', ''], ['<strong>trigger</strong>', 'Open']])
+    }</main>`);
+    assert.equal(deserializer.pending.length, 4);
+
+    const prefetched = prefetchReferenceBlocks(deserializer.deferredBlocks);
+    assert.deepEqual(prefetched.sort(), ['/org/site/footer', '/org/site/offer']);
+    assert.deepEqual(requested.sort(), [
+      'https://example.com/footer.plain.html',
+      'https://example.com/offer.plain.html',
+    ]);
+  });
+
+  it('reads the blocks deferred behind another deferred block', () => {
+    const deserializer = new EDSBlockDeserializer({ window, deferDepth: 1 });
+    deserializer.toElement(`<main>${
+      block('x-list', [['<strong>children</strong>', '→ x-item-1']])
+    }${block('x-item', [['<strong>content</strong>', '→ ee-reference-1']])
+    }${block('ee-reference', [['urn', '/org/site/footer'], ['inline', '']])}</main>`);
+    assert.deepEqual(deserializer.deferredBlocks.map(({ id }) => id).sort(), ['ee-reference-1', 'x-item-1']);
+    assert.deepEqual(prefetchReferenceBlocks(deserializer.deferredBlocks), ['/org/site/footer']);
+  });
+});
+
+describe('readReferenceParams', () => {
+  it('reads the params attribute, overridden by data-param-* attributes', () => {
+    const element = window.document.createElement('ee-reference');
+    element.setAttribute('params', '{"plan-name":"Standard","seats":5,"note":null}');
+    element.setAttribute('data-param-plan-name', 'Pro');
+    assert.deepEqual(readReferenceParams(element), { 'plan-name': 'Pro', seats: '5', note: '' });
+  });
+
+  it('ignores a params value that is not a JSON object', () => {
+    const element = window.document.createElement('ee-reference');
+    element.setAttribute('params', '["a"]');
+    element.setAttribute('data-param-title', 'Hello');
+    assert.deepEqual(readReferenceParams(element), { title: 'Hello' });
+    element.setAttribute('params', '{plan');
+    assert.deepEqual(readReferenceParams(element), { title: 'Hello' });
+  });
+});
+
+describe('applyReferenceParams', () => {
+  function load(rows) {
+    const host = window.document.createElement('div');
+    host.innerHTML = fromEds(`<main>${block('x-card', rows)}</main>`, { window });
+    return host;
+  }
+
+  it('fills text and attributes as text, keeps unknown placeholders', () => {
+    const host = load([
+      ['plan-name', '{{plan-name}}'],
+      ['<strong>title</strong>', '{{ title }} for {{who}}'],
+    ]);
+    applyReferenceParams(host, { 'plan-name': 'Pro', title: '<b>Pro</b>' });
+    const card = host.querySelector('x-card');
+    assert.equal(card.getAttribute('plan-name'), 'Pro');
+    assert.equal(card.querySelector('[slot="title"]').textContent, '<b>Pro</b> for {{who}}');
+  });
+
+  it('removes a URL attribute filled with a scheme the policy does not allow', () => {
+    const host = load([['href', '{{link}}'], ['src', '{{image}}']]);
+    // eslint-disable-next-line no-script-url
+    applyReferenceParams(host, { link: 'javascript:alert(1)', image: '/media/card.png' });
+    const card = host.querySelector('x-card');
+    assert.equal(card.hasAttribute('href'), false);
+    assert.equal(card.getAttribute('src'), '/media/card.png');
+  });
+
+  it('fills style-* rows and drops the declarations filled with unsafe values', () => {
+    const host = load([
+      ['style-accent', '{{color}}'],
+      ['style-background', '{{background}}'],
+      ['style-border', '1px solid {{color}}'],
+    ]);
+    applyReferenceParams(host, { color: 'red', background: 'red; background: url(/a.png)' });
+    assert.equal(host.querySelector('x-card').getAttribute('style'), '--accent: red; --border: 1px solid red');
+  });
+
+  it('checks typed rows once filled', () => {
+    const { html, diagnostics } = fromEds(`<main>${block('x-card', [
+      ['seats:number', '{{seats}}'],
+      ['featured:boolean', '{{featured}}'],
+      ['hidden:boolean', '{{hidden}}'],
+      ['limit:number', '{{limit}}'],
+      ['config:json', '{{config}}'],
+    ])}</main>`, { window, diagnostics: true });
+    assert.deepEqual(diagnostics, []);
+    const host = window.document.createElement('div');
+    host.innerHTML = html;
+    applyReferenceParams(host, {
+      seats: '05', featured: 'true', hidden: 'false', limit: 'many',
+    });
+    const card = host.querySelector('x-card');
+    assert.equal(card.getAttribute('seats'), '5');
+    assert.equal(card.getAttribute('featured'), '');
+    assert.equal(card.hasAttribute('hidden'), false);
+    assert.equal(card.hasAttribute('limit'), false);
+    assert.equal(card.getAttribute('config'), '{{config}}');
+    assert.equal(card.getAttribute('data-ee-param-types'), 'config:json');
+  });
+});
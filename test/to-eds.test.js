@@ -0,0 +1,38 @@
+/**
+ * Block IDs written by toEds for content that went through assignUids, as the editor saves it
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseHTML } from 'linkedom';
+import { assignUids, toEds } from '../scripts/to-eds.js';
+
+const { window } = parseHTML('<html><body></body></html>');
+
+function save(host) {
+  assignUids(host);
+  return toEds(host.innerHTML, { window, stableIds: true }).map(({ id }) => id);
+}
+
+describe('assignUids', () => {
+  it('keeps block IDs from one save to the next', () => {
+    const host = window.document.createElement('div');
+    host.innerHTML = '<paywall-container><paywall-card plan-name="A"></paywall-card></paywall-container>';
+    const first = save(host);
+    assert.deepEqual(save(host), first);
+
+    host.querySelector('paywall-container').prepend(window.document.createElement('paywall-card'));
+    const ids = save(host);
+    assert.equal(ids.length, 3);
+    first.forEach((id) => assert.ok(ids.includes(id)));
+  });
+
+  it('gives a copied element its own uid', () => {
+    const host = window.document.createElement('div');
+    host.innerHTML = '<paywall-card data-ee-uid="abc"></paywall-card><paywall-card data-ee-uid="abc"></paywall-card>';
+    assert.equal(assignUids(host), 1);
+    const [first, second] = host.querySelectorAll('paywall-card');
+    assert.equal(first.getAttribute('data-ee-uid'), 'abc');
+    assert.notEqual(second.getAttribute('data-ee-uid'), 'abc');
+  });
+});